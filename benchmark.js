@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const mysql = require('mysql2/promise');
+const Database = require('./database/database');
+
+// Uso: node benchmark.js [--partite=5000] [--giocatori=40] [--ripetizioni=5]
+// Crea (e ricrea a ogni esecuzione) un database separato, BENCHMARK_DB_NAME o
+// scalcetting_benchmark, con dati finti: il database configurato non viene toccato.
+const argomento = (nome, predefinito) => {
+    const arg = process.argv.find(a => a.startsWith(`--${nome}=`));
+    const valore = arg ? parseInt(arg.split('=')[1]) : NaN;
+    return isNaN(valore) || valore <= 0 ? predefinito : valore;
+};
+
+const numeroPartite = argomento('partite', 5000);
+const numeroGiocatori = Math.max(4, argomento('giocatori', 40));
+const ripetizioni = argomento('ripetizioni', 5);
+const nomeDatabase = process.env.BENCHMARK_DB_NAME || 'scalcetting_benchmark';
+
+console.log('🏆 Scalcetting Tracker - Benchmark');
+console.log('==================================\n');
+
+// Tempo medio in millisecondi di più esecuzioni
+async function misura(ripetute, funzione) {
+    let totale = 0n;
+    for (let i = 0; i < ripetute; i++) {
+        const inizio = process.hrtime.bigint();
+        await funzione();
+        totale += process.hrtime.bigint() - inizio;
+    }
+    return Number(totale / BigInt(ripetute)) / 1e6;
+}
+
+function stampa(etichetta, prima, dopo) {
+    console.log(`• ${etichetta}: ${prima.toFixed(1)} ms → ${dopo.toFixed(1)} ms ` +
+        `(${(prima / Math.max(dopo, 0.001)).toFixed(1)}x)`);
+}
+
+// Lettura delle partite com'era prima: una query dei nomi per ogni partita
+async function getPartiteUnaQueryPerPartita(db) {
+    const [rows] = await db.connection.execute(
+        'SELECT id, squadra1, squadra2 FROM partite WHERE annullata = FALSE ORDER BY data DESC, id DESC'
+    );
+
+    for (const row of rows) {
+        const squadra1 = typeof row.squadra1 === 'string' ? JSON.parse(row.squadra1) : row.squadra1;
+        const squadra2 = typeof row.squadra2 === 'string' ? JSON.parse(row.squadra2) : row.squadra2;
+        await db.getNomiGiocatori([...squadra1, ...squadra2]);
+    }
+}
+
+async function creaDatabase(config) {
+    const connection = await mysql.createConnection({ ...config, database: undefined });
+    try {
+        await connection.query(`DROP DATABASE IF EXISTS \`${nomeDatabase}\``);
+        await connection.query(`CREATE DATABASE \`${nomeDatabase}\``);
+    } finally {
+        await connection.end();
+    }
+}
+
+// Giocatori e partite casuali, in ordine di data nell'ultimo anno e mezzo
+async function popola(db) {
+    const ruoli = ['portiere', 'attaccante'];
+    const ids = [];
+    for (let i = 1; i <= numeroGiocatori; i++) {
+        const giocatore = await db.createGiocatore(`Giocatore ${i}`, ruoli[i % 2]);
+        ids.push(giocatore.id);
+    }
+
+    const inizio = Date.now() - 540 * 24 * 60 * 60 * 1000;
+    const passo = (Date.now() - inizio) / numeroPartite;
+    const righe = [];
+
+    for (let i = 0; i < numeroPartite; i++) {
+        const scelti = [...ids].sort(() => Math.random() - 0.5).slice(0, 4);
+        const vincitore = Math.random() < 0.5 ? 1 : 2;
+        const golPerdente = Math.floor(Math.random() * 10);
+        
+        righe.push([
+            JSON.stringify(scelti.slice(0, 2)),
+            JSON.stringify(scelti.slice(2, 4)),
+            vincitore,
+            vincitore === 1 ? 10 : golPerdente,
+            vincitore === 2 ? 10 : golPerdente,
+            new Date(inizio + i * passo)
+        ]);
+    }
+
+    // A blocchi per restare sotto max_allowed_packet
+    for (let i = 0; i < righe.length; i += 1000) {
+        await db.connection.query(
+            'INSERT INTO partite (squadra1, squadra2, vincitore, gol_squadra1, gol_squadra2, data) VALUES ?',
+            [righe.slice(i, i + 1000)]
+        );
+    }
+
+    // Rating, storico e traguardi coerenti con le partite inserite
+    return db.recalculateAll();
+}
+
+async function main() {
+    const db = new Database();
+
+    if (db.config.database === nomeDatabase) {
+        console.error(`❌ Il database del benchmark (${nomeDatabase}) coincide con quello configurato`);
+        process.exitCode = 1;
+        return;
+    }
+    db.config.database = nomeDatabase;
+
+    try {
+        console.log(`🗄️  Creazione database '${nomeDatabase}'...`);
+        await creaDatabase(db.config);
+        await db.connect();
+        await db.createTables();
+        
+        console.log(`🎲 Inserimento di ${numeroGiocatori} giocatori e ${numeroPartite} partite...`);
+        const ricalcolo = await popola(db);
+        console.log(`✅ Partite rigiocate: ${ricalcolo.partite_rigiocate}\n`);
+        
+        console.log(`⏱️  Tempi medi su ${ripetizioni} esecuzioni:`);
+        
+        const partiteUnaQueryPerPartita = await misura(1, () => getPartiteUnaQueryPerPartita(db));
+        const partiteUnaSolaQuery = await misura(ripetizioni, () => db.getPartite());
+        stampa('Elenco partite (una query per partita → una sola query dei nomi)', partiteUnaQueryPerPartita, partiteUnaSolaQuery);
+        
+        const classificaFredda = await misura(ripetizioni, () => {
+            db.invalidaCache();
+            return db.getGiocatori();
+        });
+        const classificaCalda = await misura(ripetizioni, () => db.getGiocatori());
+        stampa('Classifica (senza cache → con cache)', classificaFredda, classificaCalda);
+        
+        const golFreddi = await misura(ripetizioni, () => {
+            db.invalidaCache();
+            return db.getStatisticheGol();
+        });
+        const golCaldi = await misura(ripetizioni, () => db.getStatisticheGol());
+        stampa('Statistiche gol (senza cache → con cache)', golFreddi, golCaldi);
+        
+        console.log(`\nℹ️  Il vecchio elenco partite è misurato una volta sola: con ${numeroPartite} partite fa ` +
+            `${numeroPartite + 1} query. Per eliminare i dati: DROP DATABASE ${nomeDatabase}`);
+    } catch (error) {
+        console.error('❌ Errore durante il benchmark:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
\ No newline at end of file
@@ -2,10 +2,55 @@ const mysql = require('mysql2/promise');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { createRatingEngine, loadRatingConfig } = require('../rating');
+const { chiaveCoppia, migliorDivisione, proponiRotazione } = require('../rating/matchmaking');
+const { generaPartite, registraRisultato, classificaTorneo, turniSvizzeri, turnoSvizzero } = require('../tornei');
+const { REGOLE, nuoveStatistiche, aggiornaStatistiche, valutaPartita, descriviTraguardo } = require('../traguardi');
+
+// Le colonne JSON arrivano già decodificate da mysql2, ma non da tutti i driver
+function parseSquadra(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+const RUOLI = ['portiere', 'attaccante'];
+
+// Ruolo giocato in partita da ciascun giocatore: ogni squadra è [portiere, attaccante]
+function ruoliInPartita(squadra1, squadra2) {
+    const ruoli = {};
+    [squadra1, squadra2].forEach(squadra => {
+        squadra.forEach((id, indice) => {
+            ruoli[id] = RUOLI[indice];
+        });
+    });
+    return ruoli;
+}
+
+// Stato di un giocatore all'inizio di una nuova stagione: ogni campo di rating torna
+// verso il valore iniziale della frazione indicata (1 = reset completo, 0.5 = a metà
+// strada) e partite, vittorie e sconfitte ripartono da zero. La data dell'ultima partita
+// resta: l'inattività si conta anche a cavallo tra due stagioni
+function statoNuovaStagione(rating, stato, regressione) {
+    const nuovo = { partite: 0, vittorie: 0, sconfitte: 0, ultima_partita: stato.ultima_partita };
+
+    for (const [campo, iniziale] of Object.entries(rating.statoIniziale())) {
+        const valore = stato[campo] ?? iniziale;
+        nuovo[campo] = valore + (iniziale - valore) * regressione;
+    }
+    nuovo.elo = Math.round(nuovo.elo);
+
+    return nuovo;
+}
 
 class Database {
     constructor() {
         this.connection = null;
+        this.rating = createRatingEngine();
+        // Cache in memoria di classifica e statistiche: svuotata a ogni scrittura e comunque
+        // scaduta dopo CACHE_TTL_SECONDS (l'inattività dipende dall'ora, e gli script come
+        // recalculate.js scrivono da un altro processo). 0 disattiva la cache.
+        const durataCache = parseInt(process.env.CACHE_TTL_SECONDS);
+        this.cache = new Map();
+        this.durataCache = (isNaN(durataCache) ? 60 : durataCache) * 1000;
         this.config = {
             // Railway MySQL configuration
             host: process.env.MYSQLHOST || process.env.DB_HOST || 'localhost',
@@ -29,6 +74,7 @@ class Database {
         try {
             await this.connect();
             await this.createTables();
+            await this.completaStorico();
             await this.insertSampleData();
             logger.info('✅ Database inizializzato con successo');
         } catch (error) {
@@ -69,9 +115,15 @@ class Database {
                     nome VARCHAR(100) NOT NULL UNIQUE,
                     ruolo ENUM('portiere', 'attaccante') NOT NULL,
                     elo INT DEFAULT 1500,
+                    rd DOUBLE NOT NULL DEFAULT 350,
+                    volatilita DOUBLE NOT NULL DEFAULT 0.06,
+                    mu DOUBLE NULL,
+                    sigma DOUBLE NULL,
                     partite INT DEFAULT 0,
                     vittorie INT DEFAULT 0,
                     sconfitte INT DEFAULT 0,
+                    decadimento INT NOT NULL DEFAULT 0,
+                    archiviato TIMESTAMP NULL,
                     creato TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     aggiornato TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                     
@@ -92,6 +144,9 @@ class Database {
                     squadra2 JSON NOT NULL,
                     vincitore TINYINT NOT NULL CHECK (vincitore IN (1, 2)),
                     data TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    annullata BOOLEAN NOT NULL DEFAULT FALSE,
+                    gol_squadra1 TINYINT UNSIGNED NULL,
+                    gol_squadra2 TINYINT UNSIGNED NULL,
                     
                     INDEX idx_data (data),
                     INDEX idx_vincitore (vincitore)
@@ -99,6 +154,214 @@ class Database {
             `;
             
             await this.connection.execute(createPartiteTable);
+            
+            // Migrazioni per database creati con versioni precedenti
+            await this.addColumnIfMissing('partite', 'annullata', 'BOOLEAN NOT NULL DEFAULT FALSE');
+            await this.addColumnIfMissing('partite', 'gol_squadra1', 'TINYINT UNSIGNED NULL');
+            await this.addColumnIfMissing('partite', 'gol_squadra2', 'TINYINT UNSIGNED NULL');
+            await this.addColumnIfMissing('giocatori', 'rd', 'DOUBLE NOT NULL DEFAULT 350');
+            await this.addColumnIfMissing('giocatori', 'volatilita', 'DOUBLE NOT NULL DEFAULT 0.06');
+            await this.addColumnIfMissing('giocatori', 'mu', 'DOUBLE NULL');
+            await this.addColumnIfMissing('giocatori', 'sigma', 'DOUBLE NULL');
+            await this.addColumnIfMissing('giocatori', 'decadimento', 'INT NOT NULL DEFAULT 0');
+            await this.addColumnIfMissing('giocatori', 'archiviato', 'TIMESTAMP NULL');
+            
+            // Stagioni: una sola aperta (fine NULL). Alla chiusura si archivia la classifica
+            // e i rating regrediscono verso quello iniziale (regressione 1 = reset completo)
+            const createStagioniTable = `
+                CREATE TABLE IF NOT EXISTS stagioni (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    nome VARCHAR(100) NOT NULL,
+                    inizio TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    fine TIMESTAMP NULL,
+                    regressione DOUBLE NULL,
+                    classifica JSON NULL,
+                    campione_id INT NULL,
+                    
+                    INDEX idx_fine (fine),
+                    FOREIGN KEY (campione_id) REFERENCES giocatori(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            await this.connection.execute(createStagioniTable);
+            
+            // Prima stagione: comprende anche le partite registrate prima delle stagioni
+            const [stagioni] = await this.connection.execute('SELECT COUNT(*) as count FROM stagioni');
+            if (stagioni[0].count === 0) {
+                await this.connection.execute(
+                    "INSERT INTO stagioni (nome, inizio) SELECT 'Stagione 1', COALESCE(MIN(data), NOW()) FROM partite"
+                );
+            }
+
+            // Tabella storico ELO (una riga per giocatore per partita)
+            const createEloStoricoTable = `
+                CREATE TABLE IF NOT EXISTS elo_storico (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    partita_id INT NOT NULL,
+                    giocatore_id INT NOT NULL,
+                    elo_prima INT NOT NULL,
+                    elo_dopo INT NOT NULL,
+                    delta INT NOT NULL,
+                    
+                    INDEX idx_partita (partita_id),
+                    INDEX idx_giocatore (giocatore_id),
+                    FOREIGN KEY (partita_id) REFERENCES partite(id) ON DELETE CASCADE,
+                    FOREIGN KEY (giocatore_id) REFERENCES giocatori(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            await this.connection.execute(createEloStoricoTable);
+            
+            // Traguardi sbloccati (uno per giocatore per codice) con la partita che li ha sbloccati
+            const createTraguardiTable = `
+                CREATE TABLE IF NOT EXISTS traguardi (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    giocatore_id INT NOT NULL,
+                    codice VARCHAR(50) NOT NULL,
+                    partita_id INT NULL,
+                    sbloccato TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    
+                    UNIQUE KEY uq_giocatore_codice (giocatore_id, codice),
+                    INDEX idx_partita (partita_id),
+                    FOREIGN KEY (giocatore_id) REFERENCES giocatori(id) ON DELETE CASCADE,
+                    FOREIGN KEY (partita_id) REFERENCES partite(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            await this.connection.execute(createTraguardiTable);
+            
+            // Tabella rating per ruolo (una riga per giocatore per ruolo effettivamente giocato)
+            const createRatingRuoliTable = `
+                CREATE TABLE IF NOT EXISTS rating_ruoli (
+                    giocatore_id INT NOT NULL,
+                    ruolo ENUM('portiere', 'attaccante') NOT NULL,
+                    elo INT NOT NULL DEFAULT 1500,
+                    rd DOUBLE NULL,
+                    volatilita DOUBLE NULL,
+                    mu DOUBLE NULL,
+                    sigma DOUBLE NULL,
+                    partite INT NOT NULL DEFAULT 0,
+                    vittorie INT NOT NULL DEFAULT 0,
+                    sconfitte INT NOT NULL DEFAULT 0,
+                    
+                    PRIMARY KEY (giocatore_id, ruolo),
+                    INDEX idx_ruolo_elo (ruolo, elo),
+                    FOREIGN KEY (giocatore_id) REFERENCES giocatori(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            await this.connection.execute(createRatingRuoliTable);
+            
+            // Decadimenti per inattività nel tempo (punti tolti e rating dopo): il ricalcolo
+            // li rigioca insieme alle partite, nell'ordine in cui sono avvenuti
+            const createDecadimentiTable = `
+                CREATE TABLE IF NOT EXISTS decadimenti (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    giocatore_id INT NOT NULL,
+                    punti INT NOT NULL,
+                    elo_dopo INT NOT NULL,
+                    data TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    
+                    INDEX idx_giocatore_data (giocatore_id, data),
+                    INDEX idx_data (data),
+                    FOREIGN KEY (giocatore_id) REFERENCES giocatori(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            await this.connection.execute(createDecadimentiTable);
+
+            // Lobby "re del tavolo": coda d'attesa e partita sul tavolo (una sola riga, id = 1)
+            const createLobbyCodaTable = `
+                CREATE TABLE IF NOT EXISTS lobby_coda (
+                    giocatore_id INT PRIMARY KEY,
+                    ordine INT NOT NULL,
+                    entrato TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    
+                    INDEX idx_ordine (ordine),
+                    FOREIGN KEY (giocatore_id) REFERENCES giocatori(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            const createLobbyTavoloTable = `
+                CREATE TABLE IF NOT EXISTS lobby_tavolo (
+                    id TINYINT PRIMARY KEY,
+                    squadra1 JSON NULL,
+                    squadra2 JSON NULL,
+                    vittorie_consecutive INT NOT NULL DEFAULT 0,
+                    regola ENUM('vincitori_restano', 'tutti_ruotano') NOT NULL DEFAULT 'vincitori_restano',
+                    max_vittorie INT NOT NULL DEFAULT 0
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            await this.connection.execute(createLobbyCodaTable);
+            await this.connection.execute(createLobbyTavoloTable);
+            await this.connection.execute('INSERT IGNORE INTO lobby_tavolo (id) VALUES (1)');
+            
+            // Tornei: squadre fisse di due giocatori e partite di tabellone. I collegamenti
+            // tra partite (dove vanno vincente e perdente) usano la chiave nel torneo
+            const createTorneiTable = `
+                CREATE TABLE IF NOT EXISTS tornei (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    nome VARCHAR(100) NOT NULL,
+                    formato VARCHAR(30) NOT NULL,
+                    neutrale BOOLEAN NOT NULL DEFAULT FALSE,
+                    stato ENUM('iscrizioni', 'in_corso', 'concluso') NOT NULL DEFAULT 'iscrizioni',
+                    turni INT NULL,
+                    campione_id INT NULL,
+                    creato TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    concluso TIMESTAMP NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            const createTorneiSquadreTable = `
+                CREATE TABLE IF NOT EXISTS tornei_squadre (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    torneo_id INT NOT NULL,
+                    nome VARCHAR(100) NULL,
+                    portiere_id INT NOT NULL,
+                    attaccante_id INT NOT NULL,
+                    testa_di_serie INT NULL,
+                    elo_combinato INT NULL,
+                    
+                    INDEX idx_torneo (torneo_id),
+                    FOREIGN KEY (torneo_id) REFERENCES tornei(id) ON DELETE CASCADE,
+                    FOREIGN KEY (portiere_id) REFERENCES giocatori(id) ON DELETE CASCADE,
+                    FOREIGN KEY (attaccante_id) REFERENCES giocatori(id) ON DELETE CASCADE
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            const createTorneiPartiteTable = `
+                CREATE TABLE IF NOT EXISTS tornei_partite (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    torneo_id INT NOT NULL,
+                    chiave VARCHAR(20) NOT NULL,
+                    tabellone VARCHAR(20) NOT NULL,
+                    turno INT NOT NULL,
+                    posizione INT NOT NULL,
+                    squadra1_id INT NULL,
+                    squadra2_id INT NULL,
+                    vincitore TINYINT NULL,
+                    gol_squadra1 TINYINT UNSIGNED NULL,
+                    gol_squadra2 TINYINT UNSIGNED NULL,
+                    completata BOOLEAN NOT NULL DEFAULT FALSE,
+                    bye BOOLEAN NOT NULL DEFAULT FALSE,
+                    prossima_vincente VARCHAR(20) NULL,
+                    slot_vincente TINYINT NULL,
+                    prossima_perdente VARCHAR(20) NULL,
+                    slot_perdente TINYINT NULL,
+                    partita_id INT NULL,
+                    giocata TIMESTAMP NULL,
+                    
+                    UNIQUE KEY uk_torneo_chiave (torneo_id, chiave),
+                    FOREIGN KEY (torneo_id) REFERENCES tornei(id) ON DELETE CASCADE,
+                    FOREIGN KEY (partita_id) REFERENCES partite(id) ON DELETE SET NULL
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `;
+            
+            await this.connection.execute(createTorneiTable);
+            await this.addColumnIfMissing('tornei', 'turni', 'INT NULL');
+            await this.connection.execute(createTorneiSquadreTable);
+            await this.connection.execute(createTorneiPartiteTable);
 
             logger.info('✅ Tabelle create/verificate');
         } catch (error) {
@@ -107,6 +370,19 @@ class Database {
         }
     }
 
+    async addColumnIfMissing(tabella, colonna, definizione) {
+        const [rows] = await this.connection.execute(`
+            SELECT COUNT(*) as count
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+        `, [tabella, colonna]);
+        
+        if (rows[0].count === 0) {
+            await this.connection.execute(`ALTER TABLE ${tabella} ADD COLUMN ${colonna} ${definizione}`);
+            logger.info(`✅ Colonna ${tabella}.${colonna} aggiunta`);
+        }
+    }
+
     async insertSampleData() {
         try {
             // Controlla se ci sono già giocatori
@@ -125,11 +401,12 @@ class Database {
 
                 for (const [nome, ruolo] of samplePlayers) {
                     await this.connection.execute(
-                        'INSERT INTO giocatori (nome, ruolo) VALUES (?, ?)',
-                        [nome, ruolo]
+                        'INSERT INTO giocatori (nome, ruolo, elo) VALUES (?, ?, ?)',
+                        [nome, ruolo, this.rating.statoIniziale().elo]
                     );
                 }
                 
+                this.invalidaCache();
                 logger.info(`✅ Inseriti ${samplePlayers.length} giocatori di esempio`);
             }
         } catch (error) {
@@ -138,31 +415,340 @@ class Database {
         }
     }
 
-    async getGiocatori() {
+    // Con ruolo restituisce la classifica di quel ruolo: solo chi lo ha giocato,
+    // ordinata per rating del ruolo. Con una stagione chiusa usa la classifica archiviata.
+    // Con soloAttivi esclude chi non gioca da più dei giorni di inattività configurati;
+    // gli archiviati compaiono solo con includiArchiviati.
+    // cerca filtra per nome (senza distinguere maiuscole), ordinaPer (nome, elo, partite,
+    // vittorie o data di creazione) sostituisce l'ordine della classifica.
+    async getGiocatori({
+        nascondiProvvisori = false,
+        ruolo = null,
+        stagione = null,
+        soloAttivi = false,
+        includiArchiviati = false,
+        cerca = null,
+        ordinaPer = null,
+        direzione = 'DESC'
+    } = {}) {
         try {
-            const [rows] = await this.connection.execute(`
-                SELECT 
-                    id, nome, ruolo, elo, partite, vittorie, sconfitte, creato
-                FROM giocatori
-                ORDER BY elo DESC, nome ASC
-            `);
+            let giocatori = stagione && stagione.classifica
+                ? stagione.classifica
+                : await this.leggiClassificaCorrente();
             
-            return rows.map(row => ({
-                id: row.id,
-                nome: row.nome,
-                ruolo: row.ruolo,
-                elo: row.elo,
-                partite: row.partite,
-                vittorie: row.vittorie,
-                sconfitte: row.sconfitte,
-                creato: row.creato
-            }));
+            if (!includiArchiviati) {
+                giocatori = giocatori.filter(g => !g.archiviato);
+            }
+            
+            if (soloAttivi) {
+                giocatori = giocatori.filter(g => g.attivo !== false);
+            }
+            
+            if (cerca) {
+                const testo = cerca.toLowerCase();
+                giocatori = giocatori.filter(g => g.nome.toLowerCase().includes(testo));
+            }
+            
+            if (ruolo) {
+                giocatori = giocatori
+                    .filter(g => g.rating_ruoli[ruolo] && g.rating_ruoli[ruolo].partite > 0)
+                    .sort((a, b) => b.rating_ruoli[ruolo].elo - a.rating_ruoli[ruolo].elo || a.nome.localeCompare(b.nome));
+                
+                if (nascondiProvvisori) {
+                    giocatori = giocatori.filter(g => !g.rating_ruoli[ruolo].rating_provvisorio);
+                }
+            } else if (nascondiProvvisori) {
+                giocatori = giocatori.filter(g => !g.rating_provvisorio);
+            }
+            
+            return ordinaPer ? this.ordinaGiocatori(giocatori, ordinaPer, direzione) : giocatori;
         } catch (error) {
             logger.error('❌ Errore recupero giocatori:', error);
             throw error;
         }
     }
 
+    // Ordina una copia dell'elenco; a parità di valore vale il nome
+    ordinaGiocatori(giocatori, ordinaPer, direzione = 'DESC') {
+        const segno = direzione === 'ASC' ? 1 : -1;
+        const valore = g => ordinaPer === 'data' ? new Date(g.creato).getTime() : g[ordinaPer];
+        
+        return [...giocatori].sort((a, b) => {
+            const confronto = ordinaPer === 'nome'
+                ? a.nome.localeCompare(b.nome)
+                : valore(a) - valore(b);
+            return segno * confronto || a.nome.localeCompare(b.nome);
+        });
+    }
+
+    // Valore in cache per la chiave; se manca o è scaduto lo calcola, una volta sola
+    // anche con più richieste contemporanee
+    async conCache(chiave, calcola) {
+        const voce = this.cache.get(chiave);
+        if (voce && voce.scadenza > Date.now()) {
+            return voce.valore;
+        }
+        
+        const valore = calcola();
+        this.cache.set(chiave, { valore, scadenza: Date.now() + this.durataCache });
+        
+        try {
+            return await valore;
+        } catch (error) {
+            // Gli errori non restano in cache
+            if (this.cache.get(chiave)?.valore === valore) {
+                this.cache.delete(chiave);
+            }
+            throw error;
+        }
+    }
+
+    // Da chiamare dopo ogni scrittura che cambia giocatori, partite o rating
+    invalidaCache() {
+        this.cache.clear();
+    }
+
+    // Copia dell'elenco in cache: i chiamanti possono filtrarlo o ordinarlo
+    async leggiClassificaCorrente() {
+        return [...await this.conCache('classifica', () => this.calcolaClassificaCorrente())];
+    }
+
+    async calcolaClassificaCorrente(connection = this.connection) {
+        const [rows] = await connection.execute(`
+            SELECT 
+                id, nome, ruolo, elo, rd, volatilita, mu, sigma, partite, vittorie, sconfitte, decadimento, archiviato, creato
+            FROM giocatori
+            ORDER BY elo DESC, nome ASC
+        `);
+        
+        const [righeRuolo] = await connection.execute(`
+            SELECT giocatore_id, ruolo, elo, rd, volatilita, mu, sigma, partite, vittorie, sconfitte
+            FROM rating_ruoli
+        `);
+        
+        const [righeTraguardi] = await connection.execute(
+            'SELECT giocatore_id, codice, partita_id, sbloccato FROM traguardi ORDER BY sbloccato ASC, id ASC'
+        );
+        
+        const [ultimePartite] = await connection.execute(`
+            SELECT s.giocatore_id, MAX(p.data) as ultima_partita
+            FROM elo_storico s
+            JOIN partite p ON p.id = s.partita_id
+            GROUP BY s.giocatore_id
+        `);
+        
+        // Attivo chi ha giocato (o si è iscritto, se non ha ancora giocato) negli ultimi N giorni
+        const ultimaPartita = new Map(ultimePartite.map(r => [r.giocatore_id, r.ultima_partita]));
+        const limiteAttivita = Date.now() - this.rating.config.inattivita.giorni * 24 * 60 * 60 * 1000;
+        
+        // Oltre all'ELO espone gli altri campi di stato del sistema in uso (es. RD Glicko-2)
+        const campiRating = Object.keys(this.rating.statoIniziale()).filter(campo => campo !== 'elo');
+        
+        const ratingRuoli = {};
+        righeRuolo.forEach(r => {
+            ratingRuoli[r.giocatore_id] = ratingRuoli[r.giocatore_id] || { portiere: null, attaccante: null };
+            ratingRuoli[r.giocatore_id][r.ruolo] = {
+                elo: r.elo,
+                ...Object.fromEntries(campiRating.map(campo => [campo, r[campo]])),
+                rating_provvisorio: this.rating.isProvvisorio(r),
+                partite: r.partite,
+                vittorie: r.vittorie,
+                sconfitte: r.sconfitte
+            };
+        });
+        
+        // I codici tolti dalle regole restano nel database ma non vengono mostrati
+        const traguardi = {};
+        righeTraguardi.forEach(r => {
+            const traguardo = descriviTraguardo(r.codice);
+            if (!traguardo) return;
+            
+            traguardi[r.giocatore_id] = traguardi[r.giocatore_id] || [];
+            traguardi[r.giocatore_id].push({ ...traguardo, partita_id: r.partita_id, sbloccato: r.sbloccato });
+        });
+        
+        return rows.map(row => ({
+            id: row.id,
+            nome: row.nome,
+            ruolo: row.ruolo,
+            elo: row.elo,
+            ...Object.fromEntries(campiRating.map(campo => [campo, row[campo]])),
+            rating_provvisorio: this.rating.isProvvisorio(row),
+            partite: row.partite,
+            vittorie: row.vittorie,
+            sconfitte: row.sconfitte,
+            rating_ruoli: ratingRuoli[row.id] || { portiere: null, attaccante: null },
+            traguardi: traguardi[row.id] || [],
+            ultima_partita: ultimaPartita.get(row.id) || null,
+            attivo: new Date(ultimaPartita.get(row.id) || row.creato).getTime() >= limiteAttivita,
+            decadimento: row.decadimento,
+            archiviato: row.archiviato,
+            creato: row.creato
+        }));
+    }
+
+    // Rigioca lo storico fino a un istante: rating dopo l'ultima partita di ogni giocatore,
+    // decadimenti per inattività e chiusure di stagione (regressione del rating e contatori
+    // da zero), come in ricalcolaStorico. dopoEvento riceve ogni partita (con tutti i suoi
+    // giocatori già aggiornati), decadimento e chiusura con gli stati di quel momento e i giocatori.
+    async rigiocaClassifica(istante, dopoEvento = () => {}) {
+        const [giocatori] = await this.connection.execute(
+            'SELECT id, nome, ruolo, creato FROM giocatori'
+        );
+        const [storico] = await this.connection.execute(`
+            SELECT s.partita_id, s.giocatore_id, s.elo_dopo, p.squadra1, p.vincitore, p.data
+            FROM elo_storico s
+            JOIN partite p ON p.id = s.partita_id
+            WHERE p.data <= ?
+            ORDER BY p.data ASC, p.id ASC
+        `, [istante]);
+        const [chiusure] = await this.connection.execute(
+            'SELECT id, fine, regressione FROM stagioni WHERE fine IS NOT NULL AND fine <= ? ORDER BY fine ASC',
+            [istante]
+        );
+        const [decadimenti] = await this.connection.execute(
+            'SELECT giocatore_id, elo_dopo, data FROM decadimenti WHERE data <= ? ORDER BY data ASC, id ASC',
+            [istante]
+        );
+        
+        // Le righe di una stessa partita sono consecutive: diventano un solo evento
+        const partite = [];
+        storico.forEach(riga => {
+            const ultima = partite[partite.length - 1];
+            if (ultima && ultima.partita_id === riga.partita_id) {
+                ultima.righe.push(riga);
+            } else {
+                partite.push({ tipo: 'partita', partita_id: riga.partita_id, data: riga.data, righe: [riga] });
+            }
+        });
+        
+        // Partite e decadimenti in ordine di data (a pari data prima il decadimento, come nel ricalcolo)
+        const eventi = [...decadimenti.map(d => ({ ...d, tipo: 'decadimento' })), ...partite]
+            .sort((a, b) => a.data - b.data || Number(b.tipo === 'decadimento') - Number(a.tipo === 'decadimento'));
+        
+        const eloIniziale = this.rating.statoIniziale().elo;
+        const stati = {};
+        giocatori.forEach(g => {
+            stati[g.id] = { elo: eloIniziale, partite: 0, vittorie: 0, sconfitte: 0, presente: g.creato <= istante };
+        });
+        
+        let prossimaChiusura = 0;
+        const chiudiStagioniFinoA = data => {
+            while (prossimaChiusura < chiusure.length && (data === null || chiusure[prossimaChiusura].fine <= data)) {
+                const { id, fine, regressione } = chiusure[prossimaChiusura];
+                
+                for (const stato of Object.values(stati)) {
+                    stato.elo = Math.round(stato.elo + (eloIniziale - stato.elo) * regressione);
+                    stato.partite = 0;
+                    stato.vittorie = 0;
+                    stato.sconfitte = 0;
+                }
+                prossimaChiusura++;
+                dopoEvento({ tipo: 'stagione', stagione_id: id, data: fine }, stati, giocatori);
+            }
+        };
+        
+        for (const evento of eventi) {
+            chiudiStagioniFinoA(evento.data);
+            
+            if (evento.tipo === 'decadimento') {
+                stati[evento.giocatore_id].elo = evento.elo_dopo;
+                dopoEvento(evento, stati, giocatori);
+                continue;
+            }
+            
+            for (const riga of evento.righe) {
+                const stato = stati[riga.giocatore_id];
+                const vittoria = riga.vincitore === (parseSquadra(riga.squadra1).includes(riga.giocatore_id) ? 1 : 2);
+                stato.elo = riga.elo_dopo;
+                stato.partite += 1;
+                stato.vittorie += vittoria ? 1 : 0;
+                stato.sconfitte += vittoria ? 0 : 1;
+                stato.presente = true;
+            }
+            dopoEvento(evento, stati, giocatori);
+        }
+        
+        chiudiStagioniFinoA(null);
+        
+        return { giocatori, stati };
+    }
+
+    // Classifica com'era a un certo istante, dallo storico ELO (vedi rigiocaClassifica)
+    async getClassificaAl(istante) {
+        try {
+            const { giocatori, stati } = await this.rigiocaClassifica(istante);
+            
+            return giocatori
+                .filter(g => stati[g.id].presente)
+                .map(g => {
+                    const { presente, ...stato } = stati[g.id];
+                    return {
+                        giocatore_id: g.id,
+                        nome: g.nome,
+                        ruolo: g.ruolo,
+                        ...stato,
+                        percentuale_vittorie: stato.partite > 0 ? Math.round(stato.vittorie / stato.partite * 1000) / 10 : 0
+                    };
+                })
+                .sort((a, b) => b.elo - a.elo || a.nome.localeCompare(b.nome))
+                .map((riga, indice) => ({ posizione: indice + 1, ...riga }));
+        } catch (error) {
+            logger.error('❌ Errore ricostruzione classifica:', error);
+            throw error;
+        }
+    }
+
+    // Movimenti in classifica tra due istanti: posizioni guadagnate (positive) o perse,
+    // variazione di rating e partite giocate nel periodo
+    async getMovimentiClassifica(da, a) {
+        try {
+            const prima = await this.getClassificaAl(da);
+            const dopo = await this.getClassificaAl(a);
+            const [partite] = await this.connection.execute(`
+                SELECT s.giocatore_id, COUNT(*) as partite
+                FROM elo_storico s
+                JOIN partite p ON p.id = s.partita_id
+                WHERE p.data > ? AND p.data <= ?
+                GROUP BY s.giocatore_id
+            `, [da, a]);
+            
+            const righePrima = new Map(prima.map(r => [r.giocatore_id, r]));
+            const giocatePeriodo = new Map(partite.map(r => [r.giocatore_id, r.partite]));
+            
+            const giocatori = dopo.map(riga => {
+                const precedente = righePrima.get(riga.giocatore_id);
+                return {
+                    giocatore_id: riga.giocatore_id,
+                    nome: riga.nome,
+                    posizione_prima: precedente ? precedente.posizione : null,
+                    posizione_dopo: riga.posizione,
+                    // null per chi non era ancora in classifica
+                    movimento: precedente ? precedente.posizione - riga.posizione : null,
+                    elo_prima: precedente ? precedente.elo : null,
+                    elo_dopo: riga.elo,
+                    delta_elo: precedente ? riga.elo - precedente.elo : null,
+                    partite_periodo: giocatePeriodo.get(riga.giocatore_id) || 0
+                };
+            });
+            
+            const confrontabili = giocatori.filter(g => g.movimento !== null);
+            const migliore = [...confrontabili].sort((x, y) => y.movimento - x.movimento || y.delta_elo - x.delta_elo)[0];
+            const peggiore = [...confrontabili].sort((x, y) => x.movimento - y.movimento || x.delta_elo - y.delta_elo)[0];
+            
+            return {
+                da,
+                a,
+                chi_sale_di_piu: migliore && migliore.movimento > 0 ? migliore : null,
+                chi_scende_di_piu: peggiore && peggiore.movimento < 0 ? peggiore : null,
+                giocatori
+            };
+        } catch (error) {
+            logger.error('❌ Errore confronto classifiche:', error);
+            throw error;
+        }
+    }
+
     async createGiocatore(nome, ruolo) {
         try {
             // Controlla se il giocatore esiste già
@@ -175,16 +761,20 @@ class Database {
                 throw new Error('Giocatore già esistente');
             }
             
+            const statoIniziale = this.rating.statoIniziale();
+            const campiRating = Object.keys(statoIniziale);
             const [result] = await this.connection.execute(
-                'INSERT INTO giocatori (nome, ruolo, elo, partite, vittorie, sconfitte) VALUES (?, ?, 1500, 0, 0, 0)',
-                [nome, ruolo]
+                `INSERT INTO giocatori (nome, ruolo, ${campiRating.join(', ')}, partite, vittorie, sconfitte) 
+                 VALUES (?, ?, ${campiRating.map(() => '?').join(', ')}, 0, 0, 0)`,
+                [nome, ruolo, ...campiRating.map(campo => statoIniziale[campo])]
             );
+            this.invalidaCache();
             
             return {
                 id: result.insertId,
                 nome,
                 ruolo,
-                elo: 1500,
+                ...statoIniziale,
                 partite: 0,
                 vittorie: 0,
                 sconfitte: 0
@@ -195,600 +785,2614 @@ class Database {
         }
     }
 
-    async getPartite() {
+    // Rinomina e/o cambia ruolo preferito; il nome resta unico senza distinzione di maiuscole
+    async updateGiocatore(giocatoreId, { nome = null, ruolo = null } = {}) {
         try {
-            const [rows] = await this.connection.execute(`
-                SELECT 
-                    id, squadra1, squadra2, vincitore, data
-                FROM partite
-                ORDER BY data DESC
-            `);
+            const [giocatori] = await this.connection.execute('SELECT id FROM giocatori WHERE id = ?', [giocatoreId]);
             
-            const partite = [];
+            if (giocatori.length === 0) {
+                throw new Error('Giocatore non trovato');
+            }
             
-            for (const row of rows) {
-                const squadra1 = JSON.parse(row.squadra1);
-                const squadra2 = JSON.parse(row.squadra2);
+            if (nome !== null) {
+                const [existing] = await this.connection.execute(
+                    'SELECT id FROM giocatori WHERE LOWER(nome) = LOWER(?) AND id <> ?',
+                    [nome, giocatoreId]
+                );
                 
-                // Recupera nomi giocatori
-                const nomiGiocatori = await this.getNomiGiocatori([
-                    squadra1[0], squadra1[1], squadra2[0], squadra2[1]
-                ]);
-                
-                partite.push({
-                    id: row.id,
-                    squadra1,
-                    squadra2,
-                    vincitore: row.vincitore,
-                    data: row.data,
-                    nomi_giocatori: {
-                        squadra1_portiere: nomiGiocatori[squadra1[0]],
-                        squadra1_attaccante: nomiGiocatori[squadra1[1]],
-                        squadra2_portiere: nomiGiocatori[squadra2[0]],
-                        squadra2_attaccante: nomiGiocatori[squadra2[1]]
-                    }
-                });
+                if (existing.length > 0) {
+                    throw new Error('Giocatore già esistente');
+                }
             }
             
-            return partite;
+            await this.connection.execute(
+                'UPDATE giocatori SET nome = COALESCE(?, nome), ruolo = COALESCE(?, ruolo) WHERE id = ?',
+                [nome, ruolo, giocatoreId]
+            );
+            this.invalidaCache();
+            
+            logger.info(`✏️ Giocatore ${giocatoreId} aggiornato`);
+            return await this.leggiGiocatore(giocatoreId);
         } catch (error) {
-            logger.error('❌ Errore recupero partite:', error);
+            logger.error('❌ Errore aggiornamento giocatore:', error);
             throw error;
         }
     }
 
-    async getNomiGiocatori(ids) {
+    // Archivia chi ha lasciato il gruppo: sparisce da classifica e selezioni ma
+    // le sue partite, lo storico e il nome nelle partite restano
+    async archiviaGiocatore(giocatoreId) {
         try {
-            const placeholders = ids.map(() => '?').join(',');
-            const [rows] = await this.connection.execute(
-                `SELECT id, nome FROM giocatori WHERE id IN (${placeholders})`,
-                ids
+            const [giocatori] = await this.connection.execute(
+                'SELECT id, archiviato FROM giocatori WHERE id = ?',
+                [giocatoreId]
             );
             
-            const nomiMap = {};
-            rows.forEach(row => {
-                nomiMap[row.id] = row.nome;
+            if (giocatori.length === 0) {
+                throw new Error('Giocatore non trovato');
+            }
+            
+            if (giocatori[0].archiviato) {
+                throw new Error('Giocatore già archiviato');
+            }
+            
+            await this.connection.execute('UPDATE giocatori SET archiviato = NOW() WHERE id = ?', [giocatoreId]);
+            this.invalidaCache();
+            
+            // Un archiviato non può restare in coda o al tavolo
+            await this.esciDallaLobby(giocatoreId).catch(error => {
+                if (error.message !== 'Giocatore non in lobby') throw error;
             });
             
-            return nomiMap;
+            logger.info(`📦 Giocatore ${giocatoreId} archiviato`);
+            return await this.leggiGiocatore(giocatoreId);
         } catch (error) {
-            logger.error('❌ Errore recupero nomi giocatori:', error);
+            logger.error('❌ Errore archiviazione giocatore:', error);
             throw error;
         }
     }
 
-    async createPartita(squadra1, squadra2, vincitore) {
-        // Create new connection for transaction
+    async riattivaGiocatore(giocatoreId) {
+        try {
+            const [giocatori] = await this.connection.execute(
+                'SELECT id, archiviato FROM giocatori WHERE id = ?',
+                [giocatoreId]
+            );
+            
+            if (giocatori.length === 0) {
+                throw new Error('Giocatore non trovato');
+            }
+            
+            if (!giocatori[0].archiviato) {
+                throw new Error('Giocatore non archiviato');
+            }
+            
+            await this.connection.execute('UPDATE giocatori SET archiviato = NULL WHERE id = ?', [giocatoreId]);
+            this.invalidaCache();
+            
+            logger.info(`♻️ Giocatore ${giocatoreId} riattivato`);
+            return await this.leggiGiocatore(giocatoreId);
+        } catch (error) {
+            logger.error('❌ Errore riattivazione giocatore:', error);
+            throw error;
+        }
+    }
+
+    // Riga di classifica di un singolo giocatore, archiviati compresi
+    async leggiGiocatore(giocatoreId) {
+        return (await this.leggiClassificaCorrente()).find(g => g.id === giocatoreId) || null;
+    }
+
+    // Unisce un account doppione in quello canonico: ogni presenza nelle partite, nelle
+    // squadre dei tornei e nelle classifiche archiviate passa al canonico, il doppione viene
+    // eliminato e lo storico rigiocato. Rifiuta se i due account compaiono nella stessa
+    // partita o sono iscritti allo stesso torneo.
+    async unisciGiocatori(canonicoId, duplicatoId) {
+        const [esistenti] = await this.connection.execute(
+            'SELECT id FROM giocatori WHERE id IN (?, ?)',
+            [canonicoId, duplicatoId]
+        );
+        
+        if (esistenti.length !== 2) {
+            throw new Error('Giocatore non trovato');
+        }
+        
         const connection = await mysql.createConnection(this.config);
         
         try {
             await connection.beginTransaction();
             
-            // Validazione giocatori
-            const tuttiGiocatori = [...squadra1, ...squadra2];
-            const placeholders = tuttiGiocatori.map(() => '?').join(',');
-            const [giocatori] = await connection.execute(
-                `SELECT id, elo FROM giocatori WHERE id IN (${placeholders})`,
-                tuttiGiocatori
-            );
+            const leggi = async () => {
+                const [righe] = await connection.execute(
+                    'SELECT id, nome, elo, partite, vittorie, sconfitte FROM giocatori WHERE id IN (?, ?) FOR UPDATE',
+                    [canonicoId, duplicatoId]
+                );
+                return righe;
+            };
             
-            if (giocatori.length !== 4) {
-                throw new Error('Uno o più giocatori non esistono');
+            const prima = await leggi();
+            const canonico = prima.find(g => g.id === canonicoId);
+            const duplicato = prima.find(g => g.id === duplicatoId);
+            
+            const [partite] = await connection.execute('SELECT id, squadra1, squadra2 FROM partite FOR UPDATE');
+            const sostituisci = squadra => squadra.map(id => id === duplicatoId ? canonicoId : id);
+            const daSpostare = [];
+            
+            for (const partita of partite) {
+                const squadra1 = parseSquadra(partita.squadra1);
+                const squadra2 = parseSquadra(partita.squadra2);
+                const tutti = [...squadra1, ...squadra2];
+                
+                if (!tutti.includes(duplicatoId)) continue;
+                if (tutti.includes(canonicoId)) {
+                    throw new Error('Giocatori nella stessa partita');
+                }
+                
+                daSpostare.push({ id: partita.id, squadra1: sostituisci(squadra1), squadra2: sostituisci(squadra2) });
             }
             
-            // Crea mappa ELO
-            const eloMap = {};
-            giocatori.forEach(g => {
-                eloMap[g.id] = g.elo;
-            });
+            const [squadreTorneo] = await connection.execute(
+                `SELECT id, torneo_id, portiere_id, attaccante_id FROM tornei_squadre 
+                 WHERE portiere_id IN (?, ?) OR attaccante_id IN (?, ?) FOR UPDATE`,
+                [canonicoId, duplicatoId, canonicoId, duplicatoId]
+            );
             
-            // Calcola ELO medio per squadra
-            const eloSquadra1 = (eloMap[squadra1[0]] + eloMap[squadra1[1]]) / 2;
-            const eloSquadra2 = (eloMap[squadra2[0]] + eloMap[squadra2[1]]) / 2;
+            // Anche in squadre diverse: il canonico finirebbe due volte nello stesso torneo
+            const torneiDi = id => squadreTorneo
+                .filter(s => s.portiere_id === id || s.attaccante_id === id)
+                .map(s => s.torneo_id);
+            const torneiCanonico = torneiDi(canonicoId);
+            if (torneiDi(duplicatoId).some(torneoId => torneiCanonico.includes(torneoId))) {
+                throw new Error('Giocatori nello stesso torneo');
+            }
             
-            // Calcola nuovi ELO
-            const k = 32; // Fattore K
-            const risultato1 = vincitore === 1 ? 1 : 0;
-            const risultato2 = vincitore === 2 ? 1 : 0;
+            for (const partita of daSpostare) {
+                await connection.execute(
+                    'UPDATE partite SET squadra1 = ?, squadra2 = ? WHERE id = ?',
+                    [JSON.stringify(partita.squadra1), JSON.stringify(partita.squadra2), partita.id]
+                );
+            }
             
-            const nuoviEloSquadra1 = this.calcolaELO(eloSquadra1, eloSquadra2, risultato1, k);
-            const nuoviEloSquadra2 = this.calcolaELO(eloSquadra2, eloSquadra1, risultato2, k);
+            // Le squadre dei tornei verrebbero cancellate a cascata insieme al doppione
+            await connection.execute('UPDATE tornei_squadre SET portiere_id = ? WHERE portiere_id = ?', [canonicoId, duplicatoId]);
+            await connection.execute('UPDATE tornei_squadre SET attaccante_id = ? WHERE attaccante_id = ?', [canonicoId, duplicatoId]);
+            await connection.execute('UPDATE stagioni SET campione_id = ? WHERE campione_id = ?', [canonicoId, duplicatoId]);
             
-            const deltaElo1 = nuoviEloSquadra1 - eloSquadra1;
-            const deltaElo2 = nuoviEloSquadra2 - eloSquadra2;
+            // Nelle classifiche archiviate la riga del doppione diventa del canonico, così il
+            // campione resta rintracciabile; se c'erano entrambi resta solo quella del canonico
+            const [archiviate] = await connection.execute(
+                'SELECT id, classifica FROM stagioni WHERE classifica IS NOT NULL FOR UPDATE'
+            );
+            const stagioniAggiornate = [];
             
-            // Aggiorna ELO e statistiche giocatori
-            for (const giocatoreId of squadra1) {
-                const nuovoElo = eloMap[giocatoreId] + deltaElo1;
-                const isVincitore = vincitore === 1 ? 1 : 0;
+            for (const stagione of archiviate) {
+                const classifica = parseSquadra(stagione.classifica);
+                if (!classifica.some(g => g.id === duplicatoId)) continue;
                 
-                await connection.execute(`
-                    UPDATE giocatori 
-                    SET elo = ?, 
-                        partite = partite + 1,
-                        vittorie = vittorie + ?,
-                        sconfitte = sconfitte + ?
-                    WHERE id = ?
-                `, [nuovoElo, isVincitore, 1 - isVincitore, giocatoreId]);
-            }
-            
-            for (const giocatoreId of squadra2) {
-                const nuovoElo = eloMap[giocatoreId] + deltaElo2;
-                const isVincitore = vincitore === 2 ? 1 : 0;
-                
-                await connection.execute(`
-                    UPDATE giocatori 
-                    SET elo = ?, 
-                        partite = partite + 1,
-                        vittorie = vittorie + ?,
-                        sconfitte = sconfitte + ?
-                    WHERE id = ?
-                `, [nuovoElo, isVincitore, 1 - isVincitore, giocatoreId]);
+                const aggiornata = classifica.some(g => g.id === canonicoId)
+                    ? classifica.filter(g => g.id !== duplicatoId)
+                    : classifica.map(g => g.id === duplicatoId ? { ...g, id: canonicoId, nome: canonico.nome } : g);
+                await connection.execute(
+                    'UPDATE stagioni SET classifica = ? WHERE id = ?',
+                    [JSON.stringify(aggiornata), stagione.id]
+                );
+                stagioniAggiornate.push(stagione.id);
             }
             
-            // Inserisci partita
-            const [result] = await connection.execute(
-                'INSERT INTO partite (squadra1, squadra2, vincitore, data) VALUES (?, ?, ?, NOW())',
-                [JSON.stringify(squadra1), JSON.stringify(squadra2), vincitore]
-            );
+            // Storico, rating per ruolo e traguardi del doppione vanno via a cascata e il ricalcolo li ricostruisce
+            await connection.execute('DELETE FROM giocatori WHERE id = ?', [duplicatoId]);
+            
+            const ricalcolo = await this.ricalcolaStorico(connection);
+            const [dopo] = await leggi();
             
             await connection.commit();
+            this.invalidaCache();
             
-            return {
-                id: result.insertId,
-                squadra1,
-                squadra2,
-                vincitore,
-                elo_changes: {
-                    squadra1_delta: deltaElo1,
-                    squadra2_delta: deltaElo2
+            // La coda perde il doppione a cascata, il tavolo (JSON) va liberato a parte
+            await this.esciDallaLobby(duplicatoId).catch(error => {
+                if (error.message !== 'Giocatore non in lobby') {
+                    logger.warn('⚠️ Lobby non aggiornata dopo l\'unione:', error);
                 }
-            };
+            });
+            
+            logger.info(`🔗 Giocatore ${duplicato.nome} unito a ${canonico.nome}: ${daSpostare.length} partite spostate`);
             
+            const riepilogo = ({ elo, partite: giocate, vittorie, sconfitte }) => ({ elo, partite: giocate, vittorie, sconfitte });
+            
+            return {
+                canonico: { giocatore_id: canonico.id, nome: canonico.nome },
+                duplicato: { giocatore_id: duplicato.id, nome: duplicato.nome, eliminato: true },
+                partite_spostate: daSpostare.map(p => p.id),
+                squadre_torneo_spostate: squadreTorneo.filter(s => s.portiere_id === duplicatoId || s.attaccante_id === duplicatoId).length,
+                stagioni_archiviate_aggiornate: stagioniAggiornate,
+                prima: { canonico: riepilogo(canonico), duplicato: riepilogo(duplicato) },
+                dopo: riepilogo(dopo),
+                ...ricalcolo
+            };
+        
         } catch (error) {
             await connection.rollback();
-            logger.error('❌ Errore creazione partita:', error);
+            logger.error('❌ Errore unione giocatori:', error);
             throw error;
         } finally {
             await connection.end();
         }
     }
 
-    calcolaELO(eloA, eloB, risultato, k = 32) {
-        const atteso = 1 / (1 + Math.pow(10, (eloB - eloA) / 400));
-        return Math.round(eloA + k * (risultato - atteso));
-    }
-
-    async checkHealth() {
+    // Andamento del rating: partite, decadimenti per inattività e regressioni di fine
+    // stagione in ordine di data (a pari data prima la chiusura, poi il decadimento, come
+    // nel ricalcolo). Le regressioni non sono salvate: si ricavano dal rating del giocatore
+    // alla chiusura, come in getClassificaAl.
+    async getStoricoElo(giocatoreId) {
         try {
-            // Reconnect if connection is lost
-            if (!this.connection || this.connection.connection._closing) {
-                await this.connect();
+            const [giocatori] = await this.connection.execute(
+                'SELECT id, nome, elo FROM giocatori WHERE id = ?',
+                [giocatoreId]
+            );
+            
+            if (giocatori.length === 0) {
+                throw new Error('Giocatore non trovato');
             }
             
-            const [versionResult] = await this.connection.execute('SELECT VERSION() as version');
-            const [giocatoriCount] = await this.connection.execute('SELECT COUNT(*) as count FROM giocatori');
-            const [partiteCount] = await this.connection.execute('SELECT COUNT(*) as count FROM partite');
+            // Ordine cronologico: a parità di data decide l'id della partita
+            const [rows] = await this.connection.execute(`
+                SELECT 
+                    s.partita_id, p.data, s.elo_prima, s.elo_dopo, s.delta
+                FROM elo_storico s
+                JOIN partite p ON p.id = s.partita_id
+                WHERE s.giocatore_id = ?
+                ORDER BY p.data ASC, p.id ASC
+            `, [giocatoreId]);
+            const [decadimenti] = await this.connection.execute(
+                'SELECT punti, elo_dopo, data FROM decadimenti WHERE giocatore_id = ? ORDER BY data ASC, id ASC',
+                [giocatoreId]
+            );
+            const [chiusure] = await this.connection.execute(
+                'SELECT id, fine, regressione FROM stagioni WHERE fine IS NOT NULL ORDER BY fine ASC'
+            );
+            
+            const partite = rows.map(row => ({
+                tipo: 'partita',
+                partita_id: row.partita_id,
+                data: row.data,
+                elo_prima: row.elo_prima,
+                elo_dopo: row.elo_dopo,
+                delta: row.delta
+            }));
+            // punti negativi: decadimento restituito (ad esempio dopo un ricalcolo)
+            const eventiDecadimento = decadimenti.map(row => ({
+                tipo: 'decadimento',
+                partita_id: null,
+                data: row.data,
+                elo_prima: row.elo_dopo + row.punti,
+                elo_dopo: row.elo_dopo,
+                delta: -row.punti
+            }));
+            
+            const eventi = [...eventiDecadimento, ...partite]
+                .sort((a, b) => a.data - b.data || Number(b.tipo === 'decadimento') - Number(a.tipo === 'decadimento'));
+            
+            // Prima della prima partita il rating è quello iniziale: non c'è nulla da riportare indietro
+            const eloIniziale = this.rating.statoIniziale().elo;
+            const storico = [];
+            let elo = null;
+            let prossimaChiusura = 0;
+            const chiudiStagioniFinoA = data => {
+                while (prossimaChiusura < chiusure.length && (data === null || chiusure[prossimaChiusura].fine <= data)) {
+                    const { id, fine, regressione } = chiusure[prossimaChiusura++];
+                    if (elo === null) continue;
+                    
+                    const eloDopo = Math.round(elo + (eloIniziale - elo) * regressione);
+                    storico.push({
+                        tipo: 'stagione',
+                        stagione_id: id,
+                        partita_id: null,
+                        data: fine,
+                        elo_prima: elo,
+                        elo_dopo: eloDopo,
+                        delta: eloDopo - elo
+                    });
+                    elo = eloDopo;
+                }
+            };
+            
+            for (const evento of eventi) {
+                chiudiStagioniFinoA(evento.data);
+                storico.push(evento);
+                elo = evento.elo_dopo;
+            }
+            chiudiStagioniFinoA(null);
             
             return {
-                connected: true,
-                mysql_version: versionResult[0].version,
-                giocatori_count: giocatoriCount[0].count,
-                partite_count: partiteCount[0].count,
-                host: this.config.host,
-                database: this.config.database,
-                ssl: !!this.config.ssl
+                giocatore_id: giocatori[0].id,
+                nome: giocatori[0].nome,
+                elo_attuale: giocatori[0].elo,
+                storico
             };
         } catch (error) {
-            logger.error('❌ Health check failed:', error);
+            logger.error('❌ Errore recupero storico ELO:', error);
+            throw error;
+        }
+    }
+
+    // Condizioni SQL dei filtri sulle partite: stagione, annullate, giocatore, coppia
+    // (compagni nella stessa squadra), giocatore tra i vincitori e intervallo di date
+    filtroPartite({ includiAnnullate = false, stagione = null, giocatore = null, coppia = null, vincitore = null, da = null, a = null } = {}) {
+        const filtro = this.filtroStagione(stagione);
+        
+        if (!includiAnnullate) {
+            filtro.condizioni.push('annullata = FALSE');
+        }
+        if (giocatore) {
+            filtro.condizioni.push('(JSON_CONTAINS(squadra1, ?) OR JSON_CONTAINS(squadra2, ?))');
+            filtro.params.push(String(giocatore), String(giocatore));
+        }
+        if (coppia) {
+            filtro.condizioni.push('(JSON_CONTAINS(squadra1, ?) OR JSON_CONTAINS(squadra2, ?))');
+            filtro.params.push(JSON.stringify(coppia), JSON.stringify(coppia));
+        }
+        if (vincitore) {
+            filtro.condizioni.push('((vincitore = 1 AND JSON_CONTAINS(squadra1, ?)) OR (vincitore = 2 AND JSON_CONTAINS(squadra2, ?)))');
+            filtro.params.push(String(vincitore), String(vincitore));
+        }
+        if (da) {
+            filtro.condizioni.push('data >= ?');
+            filtro.params.push(da);
+        }
+        if (a) {
+            filtro.condizioni.push('data <= ?');
+            filtro.params.push(a);
+        }
+        
+        return filtro;
+    }
+
+    // Con limit restituisce una pagina (offset partite saltate), dalla più recente o con ordine ASC dalla più vecchia
+    async getPartite({ limit = null, offset = 0, ordine = 'DESC', ...filtri } = {}) {
+        try {
+            const filtro = this.filtroPartite(filtri);
+            const direzione = ordine === 'ASC' ? 'ASC' : 'DESC';
+            
+            // LIMIT e OFFSET sono interi già validati: come placeholder non sono accettati da tutti i server
+            const [rows] = await this.connection.execute(`
+                SELECT 
+                    id, squadra1, squadra2, vincitore, gol_squadra1, gol_squadra2, data, annullata
+                FROM partite
+                ${filtro.condizioni.length > 0 ? `WHERE ${filtro.condizioni.join(' AND ')}` : ''}
+                ORDER BY data ${direzione}, id ${direzione}
+                ${limit ? `LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset) || 0}` : ''}
+            `, filtro.params);
+            
+            const squadre = rows.map(row => [parseSquadra(row.squadra1), parseSquadra(row.squadra2)]);
+            
+            // Nomi di tutti i giocatori della pagina con una sola query
+            const ids = [...new Set(squadre.flat(2))];
+            const nomiGiocatori = ids.length > 0 ? await this.getNomiGiocatori(ids) : {};
+            
+            return rows.map((row, indice) => {
+                const [squadra1, squadra2] = squadre[indice];
+                
+                return {
+                    id: row.id,
+                    squadra1,
+                    squadra2,
+                    vincitore: row.vincitore,
+                    gol_squadra1: row.gol_squadra1,
+                    gol_squadra2: row.gol_squadra2,
+                    data: row.data,
+                    annullata: !!row.annullata,
+                    nomi_giocatori: {
+                        squadra1_portiere: nomiGiocatori[squadra1[0]],
+                        squadra1_attaccante: nomiGiocatori[squadra1[1]],
+                        squadra2_portiere: nomiGiocatori[squadra2[0]],
+                        squadra2_attaccante: nomiGiocatori[squadra2[1]]
+                    }
+                };
+            });
+        } catch (error) {
+            logger.error('❌ Errore recupero partite:', error);
+            throw error;
+        }
+    }
+
+    // Numero di partite che soddisfano gli stessi filtri di getPartite, per la paginazione
+    async contaPartite(filtri = {}) {
+        try {
+            const filtro = this.filtroPartite(filtri);
+            const [rows] = await this.connection.execute(`
+                SELECT COUNT(*) as totale FROM partite
+                ${filtro.condizioni.length > 0 ? `WHERE ${filtro.condizioni.join(' AND ')}` : ''}
+            `, filtro.params);
+            
+            return rows[0].totale;
+        } catch (error) {
+            logger.error('❌ Errore conteggio partite:', error);
+            throw error;
+        }
+    }
+
+    async getNomiGiocatori(ids) {
+        try {
+            const placeholders = ids.map(() => '?').join(',');
+            const [rows] = await this.connection.execute(
+                `SELECT id, nome FROM giocatori WHERE id IN (${placeholders})`,
+                ids
+            );
+            
+            const nomiMap = {};
+            rows.forEach(row => {
+                nomiMap[row.id] = row.nome;
+            });
+            
+            return nomiMap;
+        } catch (error) {
+            logger.error('❌ Errore recupero nomi giocatori:', error);
+            throw error;
+        }
+    }
+
+    // Gol fatti e subiti per giocatore e per coppia, solo dalle partite con punteggio
+    async getStatisticheGol({ stagione = null } = {}) {
+        return this.conCache(`gol:${stagione ? stagione.id : 'tutte'}`, () => this.calcolaStatisticheGol(stagione));
+    }
+
+    async calcolaStatisticheGol(stagione) {
+        try {
+            const filtro = this.filtroStagione(stagione);
+            const [giocatori] = await this.connection.execute('SELECT id, nome FROM giocatori');
+            const [partite] = await this.connection.execute(`
+                SELECT squadra1, squadra2, vincitore, gol_squadra1, gol_squadra2
+                FROM partite
+                WHERE ${['annullata = FALSE', 'gol_squadra1 IS NOT NULL', 'gol_squadra2 IS NOT NULL', ...filtro.condizioni].join(' AND ')}
+            `, filtro.params);
+            
+            const nomi = {};
+            giocatori.forEach(g => {
+                nomi[g.id] = g.nome;
+            });
+            
+            const perGiocatore = {};
+            const perCoppia = {};
+            const vuoto = () => ({ partite: 0, vittorie: 0, gol_fatti: 0, gol_subiti: 0 });
+            const registra = (stat, fatti, subiti, vittoria) => {
+                stat.partite += 1;
+                stat.vittorie += vittoria;
+                stat.gol_fatti += fatti;
+                stat.gol_subiti += subiti;
+            };
+            
+            for (const partita of partite) {
+                const squadre = [
+                    { giocatori: parseSquadra(partita.squadra1), fatti: partita.gol_squadra1, subiti: partita.gol_squadra2, vittoria: partita.vincitore === 1 ? 1 : 0 },
+                    { giocatori: parseSquadra(partita.squadra2), fatti: partita.gol_squadra2, subiti: partita.gol_squadra1, vittoria: partita.vincitore === 2 ? 1 : 0 }
+                ];
+                
+                for (const squadra of squadre) {
+                    squadra.giocatori.forEach(id => {
+                        perGiocatore[id] = perGiocatore[id] || vuoto();
+                        registra(perGiocatore[id], squadra.fatti, squadra.subiti, squadra.vittoria);
+                    });
+                    
+                    // La coppia non dipende da chi era in porta
+                    const chiave = [...squadra.giocatori].sort((a, b) => a - b).join('-');
+                    perCoppia[chiave] = perCoppia[chiave] || vuoto();
+                    registra(perCoppia[chiave], squadra.fatti, squadra.subiti, squadra.vittoria);
+                }
+            }
+            
+            const conDifferenza = stat => ({
+                ...stat,
+                differenza_reti: stat.gol_fatti - stat.gol_subiti,
+                media_fatti: Math.round(stat.gol_fatti / stat.partite * 10) / 10,
+                media_subiti: Math.round(stat.gol_subiti / stat.partite * 10) / 10
+            });
+            const ordina = (a, b) => b.differenza_reti - a.differenza_reti || b.partite - a.partite;
+            
             return {
-                connected: false,
-                error: error.message
+                partite_con_punteggio: partite.length,
+                giocatori: Object.entries(perGiocatore)
+                    .map(([id, stat]) => ({ giocatore_id: parseInt(id), nome: nomi[id], ...conDifferenza(stat) }))
+                    .sort(ordina),
+                coppie: Object.entries(perCoppia)
+                    .map(([chiave, stat]) => {
+                        const ids = chiave.split('-').map(Number);
+                        return { giocatori: ids, nomi: ids.map(id => nomi[id]), ...conDifferenza(stat) };
+                    })
+                    .sort(ordina)
             };
+        } catch (error) {
+            logger.error('❌ Errore statistiche gol:', error);
+            throw error;
         }
     }
 
-    async exportData() {
+    // Partite valide in ordine cronologico con la variazione di rating di ogni giocatore
+    // (delta ed elo: mappe id giocatore -> variazione e rating dopo la partita) e la mappa dei nomi
+    async leggiPartiteConDelta({ stagione = null } = {}) {
+        const filtro = this.filtroStagione(stagione);
+        const condizioni = ['annullata = FALSE', ...filtro.condizioni].join(' AND ');
+        
+        const [giocatori] = await this.connection.execute('SELECT id, nome FROM giocatori');
+        const [partite] = await this.connection.execute(
+            `SELECT id, squadra1, squadra2, vincitore, gol_squadra1, gol_squadra2, data 
+             FROM partite WHERE ${condizioni} ORDER BY data ASC, id ASC`,
+            filtro.params
+        );
+        const [variazioni] = await this.connection.execute(
+            `SELECT partita_id, giocatore_id, elo_dopo, delta FROM elo_storico 
+             WHERE partita_id IN (SELECT id FROM partite WHERE ${condizioni})`,
+            filtro.params
+        );
+        
+        const nomi = {};
+        giocatori.forEach(g => {
+            nomi[g.id] = g.nome;
+        });
+        
+        const delta = {};
+        const elo = {};
+        variazioni.forEach(v => {
+            delta[v.partita_id] = delta[v.partita_id] || {};
+            delta[v.partita_id][v.giocatore_id] = v.delta;
+            elo[v.partita_id] = elo[v.partita_id] || {};
+            elo[v.partita_id][v.giocatore_id] = v.elo_dopo;
+        });
+        
+        return {
+            nomi,
+            partite: partite.map(p => ({
+                id: p.id,
+                data: p.data,
+                squadra1: parseSquadra(p.squadra1),
+                squadra2: parseSquadra(p.squadra2),
+                vincitore: p.vincitore,
+                gol_squadra1: p.gol_squadra1,
+                gol_squadra2: p.gol_squadra2,
+                delta: delta[p.id] || {},
+                elo: elo[p.id] || {}
+            }))
+        };
+    }
+
+    // Intesa delle coppie di compagni: partite insieme, vittorie e variazione media
+    // di rating dei due giocatori nelle partite giocate in coppia
+    async getStatisticheCoppie({ stagione = null, minPartite = 1 } = {}) {
         try {
-            const giocatori = await this.getGiocatori();
-            const partite = await this.getPartite();
+            const { nomi, partite } = await this.leggiPartiteConDelta({ stagione });
+            
+            const coppie = {};
+            for (const partita of partite) {
+                [partita.squadra1, partita.squadra2].forEach((squadra, indice) => {
+                    const chiave = chiaveCoppia(squadra[0], squadra[1]);
+                    const coppia = coppie[chiave] = coppie[chiave] || { partite: 0, vittorie: 0, delta_totale: 0 };
+                    
+                    coppia.partite += 1;
+                    coppia.vittorie += partita.vincitore === indice + 1 ? 1 : 0;
+                    coppia.delta_totale += squadra.reduce((sum, id) => sum + (partita.delta[id] || 0), 0) / 2;
+                });
+            }
+            
+            return Object.entries(coppie)
+                .filter(([, coppia]) => coppia.partite >= minPartite)
+                .map(([chiave, coppia]) => {
+                    const ids = chiave.split('-').map(Number);
+                    return {
+                        giocatori: ids,
+                        nomi: ids.map(id => nomi[id]),
+                        partite: coppia.partite,
+                        vittorie: coppia.vittorie,
+                        sconfitte: coppia.partite - coppia.vittorie,
+                        percentuale_vittorie: Math.round(coppia.vittorie / coppia.partite * 1000) / 10,
+                        delta_medio: Math.round(coppia.delta_totale / coppia.partite * 10) / 10
+                    };
+                })
+                .sort((a, b) =>
+                    b.percentuale_vittorie - a.percentuale_vittorie ||
+                    b.delta_medio - a.delta_medio ||
+                    b.partite - a.partite
+                );
+        } catch (error) {
+            logger.error('❌ Errore statistiche coppie:', error);
+            throw error;
+        }
+    }
+
+    // Compagni di un giocatore: miglior e peggior partner tra quelli con almeno minPartite insieme
+    async getPartnerGiocatore(giocatoreId, { stagione = null, minPartite = 3 } = {}) {
+        try {
+            const [giocatori] = await this.connection.execute(
+                'SELECT id, nome FROM giocatori WHERE id = ?',
+                [giocatoreId]
+            );
+            
+            if (giocatori.length === 0) {
+                throw new Error('Giocatore non trovato');
+            }
+            
+            const partner = (await this.getStatisticheCoppie({ stagione }))
+                .filter(c => c.giocatori.includes(giocatoreId))
+                .map(({ giocatori: ids, nomi, ...stat }) => {
+                    const indice = ids[0] === giocatoreId ? 1 : 0;
+                    return { giocatore_id: ids[indice], nome: nomi[indice], ...stat };
+                });
+            
+            // L'elenco è già ordinato dal migliore al peggiore
+            const qualificati = partner.filter(p => p.partite >= minPartite);
             
             return {
-                metadata: {
-                    esportato: new Date().toISOString(),
-                    versione: '2.0',
-                    platform: 'Railway',
-                    totale_giocatori: giocatori.length,
-                    totale_partite: partite.length
-                },
-                giocatori,
-                partite
+                giocatore_id: giocatori[0].id,
+                nome: giocatori[0].nome,
+                min_partite: minPartite,
+                miglior_partner: qualificati.length > 0 ? qualificati[0] : null,
+                peggior_partner: qualificati.length > 1 ? qualificati[qualificati.length - 1] : null,
+                partner
             };
         } catch (error) {
-            logger.error('❌ Errore export dati:', error);
+            logger.error('❌ Errore recupero partner:', error);
             throw error;
         }
     }
 
-    async resetDatabase() {
+    // Scontri diretti tra due lati: un giocatore contro un giocatore (su squadre opposte)
+    // o una coppia contro una coppia (indipendentemente da chi sta in porta)
+    async getHeadToHead(latoA, latoB, { stagione = null } = {}) {
         try {
-            // Solo in ambiente di sviluppo
-            if (process.env.NODE_ENV === 'production') {
-                throw new Error('Reset database non consentito in produzione');
+            const tuttiGiocatori = [...latoA, ...latoB];
+            const placeholders = tuttiGiocatori.map(() => '?').join(',');
+            const [giocatori] = await this.connection.execute(
+                `SELECT id FROM giocatori WHERE id IN (${placeholders})`,
+                tuttiGiocatori
+            );
+            
+            if (giocatori.length !== tuttiGiocatori.length) {
+                throw new Error('Giocatore non trovato');
             }
             
-            await this.connection.execute('SET FOREIGN_KEY_CHECKS = 0');
-            await this.connection.execute('TRUNCATE TABLE partite');
-            await this.connection.execute('TRUNCATE TABLE giocatori');
-            await this.connection.execute('SET FOREIGN_KEY_CHECKS = 1');
+            const { nomi, partite } = await this.leggiPartiteConDelta({ stagione });
+            const contiene = (squadra, lato) => lato.every(id => squadra.includes(id));
+            const deltaMedio = (partita, lato) =>
+                lato.reduce((sum, id) => sum + (partita.delta[id] || 0), 0) / lato.length;
             
-            // Reinserisce dati di esempio
-            await this.insertSampleData();
+            const scontri = [];
+            for (const partita of partite) {
+                const squadraA = contiene(partita.squadra1, latoA) && contiene(partita.squadra2, latoB) ? 1
+                    : contiene(partita.squadra2, latoA) && contiene(partita.squadra1, latoB) ? 2 : null;
+                if (squadraA === null) continue;
+                
+                const squadraB = 3 - squadraA;
+                scontri.push({
+                    partita_id: partita.id,
+                    data: partita.data,
+                    vincitore: partita.vincitore === squadraA ? 'a' : 'b',
+                    gol_a: partita[`gol_squadra${squadraA}`],
+                    gol_b: partita[`gol_squadra${squadraB}`],
+                    delta_a: Math.round(deltaMedio(partita, latoA) * 10) / 10,
+                    delta_b: Math.round(deltaMedio(partita, latoB) * 10) / 10
+                });
+            }
             
-            logger.info('✅ Database resettato');
-            return true;
+            let serieAttuale = null;
+            const seriePiuLunga = { a: 0, b: 0 };
+            for (const scontro of scontri) {
+                if (serieAttuale && serieAttuale.vincitore === scontro.vincitore) {
+                    serieAttuale.lunghezza += 1;
+                } else {
+                    serieAttuale = { vincitore: scontro.vincitore, lunghezza: 1 };
+                }
+                seriePiuLunga[scontro.vincitore] = Math.max(seriePiuLunga[scontro.vincitore], serieAttuale.lunghezza);
+            }
+            
+            const conPunteggio = scontri.filter(s => s.gol_a !== null && s.gol_b !== null);
+            const riepilogo = (chiave, lato) => ({
+                giocatori: lato,
+                nomi: lato.map(id => nomi[id]),
+                vittorie: scontri.filter(s => s.vincitore === chiave).length,
+                gol: conPunteggio.length > 0 ? conPunteggio.reduce((sum, s) => sum + s[`gol_${chiave}`], 0) : null,
+                delta_totale: Math.round(scontri.reduce((sum, s) => sum + s[`delta_${chiave}`], 0) * 10) / 10
+            });
+            
+            return {
+                tipo: latoA.length === 1 ? 'giocatori' : 'coppie',
+                a: riepilogo('a', latoA),
+                b: riepilogo('b', latoB),
+                partite_totali: scontri.length,
+                serie_attuale: serieAttuale,
+                serie_piu_lunga: seriePiuLunga,
+                ultimi_risultati: scontri.slice(-10).reverse().map(s => s.vincitore),
+                partite: [...scontri].reverse()
+            };
         } catch (error) {
-            logger.error('❌ Errore reset database:', error);
+            logger.error('❌ Errore scontri diretti:', error);
             throw error;
         }
     }
 
-    async close() {
+    // Avversari di un giocatore: la nemesi (contro cui perde più spesso) e la vittima preferita
+    async getRivaliGiocatore(giocatoreId, { stagione = null } = {}) {
         try {
-            if (this.connection) {
-                await this.connection.end();
-                logger.info('✅ Database connection chiusa');
+            const [giocatori] = await this.connection.execute(
+                'SELECT id, nome FROM giocatori WHERE id = ?',
+                [giocatoreId]
+            );
+            
+            if (giocatori.length === 0) {
+                throw new Error('Giocatore non trovato');
+            }
+            
+            const { nomi, partite } = await this.leggiPartiteConDelta({ stagione });
+            
+            const avversari = {};
+            for (const partita of partite) {
+                const squadra = partita.squadra1.includes(giocatoreId) ? 1
+                    : partita.squadra2.includes(giocatoreId) ? 2 : null;
+                if (squadra === null) continue;
+                
+                const vittoria = partita.vincitore === squadra;
+                for (const id of squadra === 1 ? partita.squadra2 : partita.squadra1) {
+                    const avversario = avversari[id] = avversari[id] || { partite: 0, vittorie: 0, delta_totale: 0 };
+                    avversario.partite += 1;
+                    avversario.vittorie += vittoria ? 1 : 0;
+                    avversario.delta_totale += partita.delta[giocatoreId] || 0;
+                }
             }
+            
+            const elenco = Object.entries(avversari)
+                .map(([id, avversario]) => ({
+                    giocatore_id: Number(id),
+                    nome: nomi[id],
+                    partite: avversario.partite,
+                    vittorie: avversario.vittorie,
+                    sconfitte: avversario.partite - avversario.vittorie,
+                    percentuale_vittorie: Math.round(avversario.vittorie / avversario.partite * 1000) / 10,
+                    delta_totale: avversario.delta_totale
+                }))
+                .sort((a, b) => b.partite - a.partite || a.giocatore_id - b.giocatore_id);
+            
+            const nemesi = elenco
+                .filter(a => a.sconfitte > 0)
+                .sort((a, b) => b.sconfitte - a.sconfitte || a.percentuale_vittorie - b.percentuale_vittorie)[0];
+            const vittima = elenco
+                .filter(a => a.vittorie > 0)
+                .sort((a, b) => b.vittorie - a.vittorie || b.percentuale_vittorie - a.percentuale_vittorie)[0];
+            
+            return {
+                giocatore_id: giocatori[0].id,
+                nome: giocatori[0].nome,
+                nemesi: nemesi || null,
+                vittima_preferita: vittima || null,
+                avversari: elenco
+            };
         } catch (error) {
-            logger.error('❌ Errore chiusura database:', error);
+            logger.error('❌ Errore recupero avversari:', error);
+            throw error;
         }
     }
-}
-
-module.exports = Database;)const mysql = require('mysql2/promise');
-const fs = require('fs').promises;
-const path = require('path');
-const logger = require('../utils/logger');
 
-class Database {
-    constructor() {
-        this.connection = null;
-        this.config = {
-            host: process.env.DB_HOST || 'localhost',
-            port: process.env.DB_PORT || 3306,
-            user: process.env.DB_USER || 'root',
-            password: process.env.DB_PASSWORD || '',
-            database: process.env.DB_NAME || 'scalcetting',
-            charset: 'utf8mb4',
-            timezone: '+00:00',
-            acquireTimeout: 60000,
-            timeout: 60000,
-            reconnect: true
-        };
+    // Elenco dei traguardi definiti con quanti giocatori li hanno sbloccati
+    async getTraguardi() {
+        try {
+            const [conteggi] = await this.connection.execute(
+                'SELECT codice, COUNT(*) as giocatori FROM traguardi GROUP BY codice'
+            );
+            
+            return REGOLE.map(regola => {
+                const conteggio = conteggi.find(c => c.codice === regola.codice);
+                return { ...descriviTraguardo(regola.codice), giocatori: conteggio ? conteggio.giocatori : 0 };
+            });
+        } catch (error) {
+            logger.error('❌ Errore recupero traguardi:', error);
+            throw error;
+        }
     }
 
-    async initialize() {
+    // Profilo completo: record di rating, serie, forma, ruoli, compagni, avversari e
+    // posizione in classifica dopo ogni partita, decadimento o chiusura di stagione del giocatore
+    async getProfiloGiocatore(giocatoreId) {
         try {
-            await this.connect();
-            await this.createTables();
-            await this.insertSampleData();
-            logger.info('✅ Database inizializzato con successo');
+            const classifica = await this.leggiClassificaCorrente();
+            const posizione = classifica.findIndex(g => g.id === giocatoreId);
+            
+            if (posizione === -1) {
+                throw new Error('Giocatore non trovato');
+            }
+            
+            const giocatore = classifica[posizione];
+            const { nomi, partite } = await this.leggiPartiteConDelta();
+            const rivali = await this.getRivaliGiocatore(giocatoreId);
+            
+            // Classifica ricostruita come in getClassificaAl, con regressioni di stagione e
+            // decadimenti: posizione e rating del giocatore dopo ogni suo evento
+            const storicoPosizioni = [];
+            let haGiocato = false;
+            await this.rigiocaClassifica(new Date(), (evento, stati, iscritti) => {
+                const coinvolto = evento.tipo === 'partita'
+                    ? evento.righe.some(r => r.giocatore_id === giocatoreId)
+                    : evento.tipo === 'decadimento' ? evento.giocatore_id === giocatoreId : haGiocato;
+                if (!coinvolto) return;
+                haGiocato = true;
+                
+                const elo = stati[giocatoreId].elo;
+                const davanti = iscritti.filter(g => stati[g.id].presente && g.id !== giocatoreId && (
+                    stati[g.id].elo > elo || (stati[g.id].elo === elo && g.nome.localeCompare(giocatore.nome) < 0)
+                ));
+                storicoPosizioni.push({
+                    tipo: evento.tipo,
+                    partita_id: evento.partita_id ?? null,
+                    data: evento.data,
+                    elo,
+                    posizione: davanti.length + 1
+                });
+            });
+            
+            const giocate = [];
+            const ruoli = Object.fromEntries(RUOLI.map(ruolo => [ruolo, { partite: 0, vittorie: 0 }]));
+            const compagni = {};
+            
+            for (const partita of partite) {
+                const squadra = partita.squadra1.includes(giocatoreId) ? partita.squadra1
+                    : partita.squadra2.includes(giocatoreId) ? partita.squadra2 : null;
+                if (squadra === null) continue;
+                
+                const vittoria = partita.vincitore === (squadra === partita.squadra1 ? 1 : 2);
+                giocate.push({ partita_id: partita.id, data: partita.data, vittoria });
+                
+                const ruolo = ruoli[RUOLI[squadra.indexOf(giocatoreId)]];
+                ruolo.partite += 1;
+                ruolo.vittorie += vittoria ? 1 : 0;
+                
+                const compagnoId = squadra.find(id => id !== giocatoreId);
+                const compagno = compagni[compagnoId] = compagni[compagnoId] || { partite: 0, vittorie: 0 };
+                compagno.partite += 1;
+                compagno.vittorie += vittoria ? 1 : 0;
+            }
+            
+            // Record di rating su partite, decadimenti e regressioni di stagione: il punto di
+            // partenza è il rating iniziale alla data di iscrizione
+            const partenza = {
+                tipo: 'iscrizione',
+                elo: storicoPosizioni.length > 0 ? this.rating.statoIniziale().elo : giocatore.elo,
+                data: giocatore.creato,
+                partita_id: null
+            };
+            const punti = [partenza, ...storicoPosizioni.map(({ tipo, elo, data, partita_id }) => ({ tipo, elo, data, partita_id }))];
+            const picco = punti.reduce((max, p) => p.elo > max.elo ? p : max);
+            const minimo = punti.reduce((min, p) => p.elo < min.elo ? p : min);
+            
+            let serieAttuale = null;
+            const seriePiuLunga = { vittorie: 0, sconfitte: 0 };
+            for (const partita of giocate) {
+                const tipo = partita.vittoria ? 'vittorie' : 'sconfitte';
+                if (serieAttuale && serieAttuale.tipo === tipo) {
+                    serieAttuale.lunghezza += 1;
+                } else {
+                    serieAttuale = { tipo, lunghezza: 1 };
+                }
+                seriePiuLunga[tipo] = Math.max(seriePiuLunga[tipo], serieAttuale.lunghezza);
+            }
+            
+            const conPercentuale = ({ partite: giocateInsieme, vittorie }) => ({
+                partite: giocateInsieme,
+                vittorie,
+                sconfitte: giocateInsieme - vittorie,
+                percentuale_vittorie: giocateInsieme > 0 ? Math.round(vittorie / giocateInsieme * 1000) / 10 : 0
+            });
+            
+            const partnerFrequente = Object.entries(compagni)
+                .sort(([idA, a], [idB, b]) => b.partite - a.partite || b.vittorie - a.vittorie || idA - idB)[0];
+            
+            return {
+                ...giocatore,
+                posizione: posizione + 1,
+                record_elo: { picco, minimo },
+                serie_attuale: serieAttuale,
+                serie_piu_lunga: seriePiuLunga,
+                // Ultime 10 dalla più vecchia alla più recente (V vittoria, S sconfitta)
+                forma: giocate.slice(-10).map(g => g.vittoria ? 'V' : 'S').join(''),
+                per_ruolo: Object.fromEntries(RUOLI.map(ruolo => [ruolo, conPercentuale(ruoli[ruolo])])),
+                partner_frequente: partnerFrequente
+                    ? { giocatore_id: Number(partnerFrequente[0]), nome: nomi[partnerFrequente[0]], ...conPercentuale(partnerFrequente[1]) }
+                    : null,
+                avversario_frequente: rivali.avversari.length > 0 ? rivali.avversari[0] : null,
+                nemesi: rivali.nemesi,
+                vittima_preferita: rivali.vittima_preferita,
+                storico_posizioni: storicoPosizioni
+            };
         } catch (error) {
-            logger.error('❌ Errore inizializzazione database:', error);
+            logger.error('❌ Errore recupero profilo giocatore:', error);
             throw error;
         }
     }
 
-    async connect() {
+    // Probabilità di vittoria e variazioni di rating per entrambi gli esiti, senza scrivere nulla
+    async previsionePartita(squadra1, squadra2) {
         try {
-            this.connection = await mysql.createConnection(this.config);
-            logger.info('✅ Connessione database stabilita');
+            const tuttiGiocatori = [...squadra1, ...squadra2];
+            const placeholders = tuttiGiocatori.map(() => '?').join(',');
+            const [giocatori] = await this.connection.execute(
+                `SELECT id, nome, elo, rd, volatilita, mu, sigma, partite FROM giocatori WHERE id IN (${placeholders})`,
+                tuttiGiocatori
+            );
+            
+            if (giocatori.length !== 4) {
+                throw new Error('Giocatore non trovato');
+            }
+            
+            const ultimePartite = await this.leggiUltimePartite(this.connection, tuttiGiocatori);
+            const stati = {};
+            giocatori.forEach(g => {
+                stati[g.id] = { ...g, ultima_partita: ultimePartite[g.id].generale };
+            });
+            
+            const probabilita1 = this.rating.probabilitaSquadra(
+                squadra1.map(id => stati[id]),
+                squadra2.map(id => stati[id])
+            );
+            const seVince1 = this.rating.calcolaPartita(stati, squadra1, squadra2, 1);
+            const seVince2 = this.rating.calcolaPartita(stati, squadra1, squadra2, 2);
+            
+            const delta = (calcolo, id) => calcolo.giocatori.find(g => g.giocatore_id === id).delta;
+            const squadra = (ids, vittoria, sconfitta, probabilita) => ({
+                probabilita_vittoria: Math.round(probabilita * 1000) / 10,
+                giocatori: ids.map((id, indice) => ({
+                    giocatore_id: id,
+                    nome: stati[id].nome,
+                    ruolo: RUOLI[indice],
+                    elo: stati[id].elo,
+                    delta_vittoria: delta(vittoria, id),
+                    delta_sconfitta: delta(sconfitta, id)
+                }))
+            });
+            
+            return {
+                sistema: this.rating.nome,
+                squadra1: squadra(squadra1, seVince1, seVince2, probabilita1),
+                squadra2: squadra(squadra2, seVince2, seVince1, 1 - probabilita1),
+                favorita: probabilita1 === 0.5 ? null : probabilita1 > 0.5 ? 1 : 2
+            };
+        } catch (error) {
+            logger.error('❌ Errore previsione partita:', error);
+            throw error;
+        }
+    }
+
+    // Squadre più equilibrate tra i giocatori presenti; con più di 4 giocatori
+    // propone una rotazione di partite in cui giocano tutti
+    async proponiSquadre(ids, { partite = null, rispettaRuoli = true, evitaRipetizioni = false } = {}) {
+        try {
+            const placeholders = ids.map(() => '?').join(',');
+            const [righe] = await this.connection.execute(
+                `SELECT id, nome, ruolo, elo, rd, volatilita, mu, sigma, partite FROM giocatori WHERE id IN (${placeholders})`,
+                ids
+            );
+            
+            if (righe.length !== ids.length) {
+                throw new Error('Giocatore non trovato');
+            }
+            
+            const [righeRuolo] = await this.connection.execute(
+                `SELECT giocatore_id, ruolo, elo, rd, volatilita, mu, sigma, partite FROM rating_ruoli WHERE giocatore_id IN (${placeholders})`,
+                ids
+            );
+            
+            // Coppie dell'ultima partita giocata, da non riproporre se richiesto
+            const [ultime] = await this.connection.execute(`
+                SELECT squadra1, squadra2 FROM partite
+                WHERE annullata = FALSE
+                ORDER BY data DESC, id DESC
+                LIMIT 1
+            `);
+            const coppieUltimaPartita = ultime.length === 0 ? [] : [ultime[0].squadra1, ultime[0].squadra2]
+                .map(parseSquadra)
+                .map(squadra => chiaveCoppia(squadra[0], squadra[1]));
+            
+            // Nell'ordine ricevuto, che decide chi gioca per primo a parità di turni
+            const giocatori = ids.map(id => {
+                const riga = righe.find(r => r.id === id);
+                const ruoli = { portiere: null, attaccante: null };
+                righeRuolo.filter(r => r.giocatore_id === id).forEach(r => {
+                    ruoli[r.ruolo] = r;
+                });
+                return { id, nome: riga.nome, ruolo: riga.ruolo, stato: riga, ruoli };
+            });
+            
+            const rotazione = proponiRotazione(giocatori, this.rating, {
+                partite: partite || Math.ceil(ids.length / 4),
+                rispettaRuoli,
+                evitaRipetizioni,
+                coppieUltimaPartita
+            });
+            
+            return {
+                sistema: this.rating.nome,
+                ...rotazione
+            };
+        } catch (error) {
+            logger.error('❌ Errore proposta squadre:', error);
+            throw error;
+        }
+    }
+
+    // punteggio ({ gol1, gol2 }) è facoltativo: le partite senza risultato restano valide
+    async createPartita(squadra1, squadra2, vincitore, punteggio = null) {
+        // Create new connection for transaction
+        const connection = await mysql.createConnection(this.config);
+        
+        try {
+            await connection.beginTransaction();
+            
+            const partita = await this.registraPartita(connection, squadra1, squadra2, vincitore, punteggio);
+            
+            await connection.commit();
+            this.invalidaCache();
+            
+            return partita;
+            
+        } catch (error) {
+            await connection.rollback();
+            logger.error('❌ Errore creazione partita:', error);
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    // Inserisce la partita e aggiorna rating, storico e rating per ruolo usando la
+    // transazione del chiamante (createPartita o il risultato di una partita di torneo)
+    async registraPartita(connection, squadra1, squadra2, vincitore, punteggio = null) {
+        // Validazione giocatori
+        const tuttiGiocatori = [...squadra1, ...squadra2];
+        const placeholders = tuttiGiocatori.map(() => '?').join(',');
+        const [giocatori] = await connection.execute(
+            `SELECT id, elo, rd, volatilita, mu, sigma, partite, archiviato FROM giocatori WHERE id IN (${placeholders}) FOR UPDATE`,
+            tuttiGiocatori
+        );
+        
+        if (giocatori.length !== 4) {
+            throw new Error('Uno o più giocatori non esistono');
+        }
+        
+        if (giocatori.some(g => g.archiviato)) {
+            throw new Error('Uno o più giocatori sono archiviati');
+        }
+        
+        // Crea mappa degli stati di rating
+        // Ultima partita di ciascuno, in generale e per ruolo (Glicko-2 ne tiene conto)
+        const ultimePartite = await this.leggiUltimePartite(connection, tuttiGiocatori);
+        
+        const stati = {};
+        giocatori.forEach(g => {
+            stati[g.id] = { ...g, ultima_partita: ultimePartite[g.id].generale };
+        });
+        
+        const calcolo = this.rating.calcolaPartita(stati, squadra1, squadra2, vincitore, punteggio);
+        
+        // Rating del ruolo giocato in questa partita (stato iniziale se è la prima volta)
+        const ruoli = ruoliInPartita(squadra1, squadra2);
+        const [righeRuolo] = await connection.execute(
+            `SELECT giocatore_id, ruolo, elo, rd, volatilita, mu, sigma, partite 
+             FROM rating_ruoli WHERE giocatore_id IN (${placeholders}) FOR UPDATE`,
+            tuttiGiocatori
+        );
+        
+        const statiRuolo = {};
+        tuttiGiocatori.forEach(id => {
+            const riga = righeRuolo.find(r => r.giocatore_id === id && r.ruolo === ruoli[id]);
+            statiRuolo[id] = riga
+                ? { ...riga, ultima_partita: ultimePartite[id][ruoli[id]] }
+                : { ...this.rating.statoIniziale(), partite: 0 };
+        });
+        
+        const calcoloRuolo = this.rating.calcolaPartita(statiRuolo, squadra1, squadra2, vincitore, punteggio);
+        
+        // Carriera e traguardi già sbloccati, letti prima di inserire la partita
+        const { statistiche, sbloccati } = await this.leggiStatoTraguardi(connection, tuttiGiocatori);
+        
+        // Inserisci partita (serve l'id per lo storico ELO)
+        const [result] = await connection.execute(
+            'INSERT INTO partite (squadra1, squadra2, vincitore, gol_squadra1, gol_squadra2, data) VALUES (?, ?, ?, ?, ?, NOW())',
+            [
+                JSON.stringify(squadra1), JSON.stringify(squadra2), vincitore,
+                punteggio ? punteggio.gol1 : null, punteggio ? punteggio.gol2 : null
+            ]
+        );
+        
+        // Aggiorna rating e statistiche giocatori
+        for (const giocatore of calcolo.giocatori) {
+            const campiRating = Object.keys(giocatore.stato);
+            
+            await connection.execute(`
+                UPDATE giocatori 
+                SET ${campiRating.map(campo => `${campo} = ?`).join(', ')}, 
+                    decadimento = 0,
+                    partite = partite + 1,
+                    vittorie = vittorie + ?,
+                    sconfitte = sconfitte + ?
+                WHERE id = ?
+            `, [
+                ...campiRating.map(campo => giocatore.stato[campo]),
+                giocatore.vittoria,
+                1 - giocatore.vittoria,
+                giocatore.giocatore_id
+            ]);
+            
+            await connection.execute(
+                'INSERT INTO elo_storico (partita_id, giocatore_id, elo_prima, elo_dopo, delta) VALUES (?, ?, ?, ?, ?)',
+                [result.insertId, giocatore.giocatore_id, giocatore.elo_prima, giocatore.elo_dopo, giocatore.delta]
+            );
+        }
+        
+        for (const giocatore of calcoloRuolo.giocatori) {
+            const campiRating = Object.keys(giocatore.stato);
+            
+            await connection.execute(`
+                INSERT INTO rating_ruoli (giocatore_id, ruolo, ${campiRating.join(', ')}, partite, vittorie, sconfitte)
+                VALUES (?, ?, ${campiRating.map(() => '?').join(', ')}, 1, ?, ?)
+                ON DUPLICATE KEY UPDATE 
+                    ${campiRating.map(campo => `${campo} = VALUES(${campo})`).join(', ')},
+                    partite = partite + 1,
+                    vittorie = vittorie + VALUES(vittorie),
+                    sconfitte = sconfitte + VALUES(sconfitte)
+            `, [
+                giocatore.giocatore_id,
+                ruoli[giocatore.giocatore_id],
+                ...campiRating.map(campo => giocatore.stato[campo]),
+                giocatore.vittoria,
+                1 - giocatore.vittoria
+            ]);
+        }
+        
+        const eloRuolo = {};
+        calcoloRuolo.giocatori.forEach(g => {
+            eloRuolo[g.giocatore_id] = g;
+        });
+        
+        const traguardi = valutaPartita({
+            squadra1,
+            squadra2,
+            gol_squadra1: punteggio ? punteggio.gol1 : null,
+            gol_squadra2: punteggio ? punteggio.gol2 : null
+        }, calcolo.giocatori, statistiche, sbloccati);
+        
+        for (const traguardo of traguardi) {
+            await connection.execute(
+                'INSERT INTO traguardi (giocatore_id, codice, partita_id, sbloccato) SELECT ?, ?, id, data FROM partite WHERE id = ?',
+                [traguardo.giocatore_id, traguardo.codice, result.insertId]
+            );
+        }
+
+        return {
+            id: result.insertId,
+            squadra1,
+            squadra2,
+            vincitore,
+            gol_squadra1: punteggio ? punteggio.gol1 : null,
+            gol_squadra2: punteggio ? punteggio.gol2 : null,
+            elo_changes: {
+                squadra1_delta: calcolo.deltaElo1,
+                squadra2_delta: calcolo.deltaElo2
+            },
+            elo_giocatori: calcolo.giocatori.map(({ vittoria, stato, ...giocatore }) => ({
+                ...giocatore,
+                ruolo: ruoli[giocatore.giocatore_id],
+                elo_ruolo_prima: eloRuolo[giocatore.giocatore_id].elo_prima,
+                elo_ruolo_dopo: eloRuolo[giocatore.giocatore_id].elo_dopo,
+                delta_ruolo: eloRuolo[giocatore.giocatore_id].delta
+            })),
+            traguardi: traguardi.map(t => ({ giocatore_id: t.giocatore_id, ...descriviTraguardo(t.codice) }))
+        };
+    }
+
+    // Data dell'ultima partita valida dei giocatori indicati, in generale e per ruolo
+    async leggiUltimePartite(connection, giocatoriIds) {
+        const placeholders = giocatoriIds.map(() => '?').join(',');
+        const [storico] = await connection.execute(`
+            SELECT s.giocatore_id, p.squadra1, p.squadra2, p.data
+            FROM elo_storico s
+            JOIN partite p ON p.id = s.partita_id
+            WHERE s.giocatore_id IN (${placeholders})
+            ORDER BY p.data ASC, p.id ASC
+        `, giocatoriIds);
+        
+        const ultime = {};
+        giocatoriIds.forEach(id => {
+            ultime[id] = { generale: null, portiere: null, attaccante: null };
+        });
+        
+        storico.forEach(r => {
+            const ruolo = ruoliInPartita(parseSquadra(r.squadra1), parseSquadra(r.squadra2))[r.giocatore_id];
+            ultime[r.giocatore_id].generale = r.data;
+            ultime[r.giocatore_id][ruolo] = r.data;
+        });
+        
+        return ultime;
+    }
+
+    // Statistiche di carriera (con la serie in corso) e traguardi già sbloccati dei
+    // giocatori indicati, ricostruiti dallo storico delle partite valide
+    async leggiStatoTraguardi(connection, giocatoriIds) {
+        const placeholders = giocatoriIds.map(() => '?').join(',');
+        const [storico] = await connection.execute(`
+            SELECT s.giocatore_id, p.squadra1, p.vincitore
+            FROM elo_storico s
+            JOIN partite p ON p.id = s.partita_id
+            WHERE s.giocatore_id IN (${placeholders})
+            ORDER BY p.data ASC, p.id ASC
+        `, giocatoriIds);
+        const [righe] = await connection.execute(
+            `SELECT giocatore_id, codice FROM traguardi WHERE giocatore_id IN (${placeholders})`,
+            giocatoriIds
+        );
+        
+        const statistiche = {};
+        const sbloccati = {};
+        giocatoriIds.forEach(id => {
+            statistiche[id] = nuoveStatistiche();
+            sbloccati[id] = new Set();
+        });
+        
+        storico.forEach(r => {
+            const squadra = parseSquadra(r.squadra1).includes(r.giocatore_id) ? 1 : 2;
+            aggiornaStatistiche(statistiche[r.giocatore_id], r.vincitore === squadra);
+        });
+        righe.forEach(r => sbloccati[r.giocatore_id].add(r.codice));
+        
+        return { statistiche, sbloccati };
+    }
+
+    // Una partita giocata in un torneo ha fatto avanzare il tabellone: modificarla,
+    // annullarla o eliminarla lascerebbe il torneo incoerente con lo storico
+    async verificaPartitaFuoriTorneo(connection, partitaId) {
+        const [righe] = await connection.execute(
+            'SELECT torneo_id FROM tornei_partite WHERE partita_id = ? LIMIT 1',
+            [partitaId]
+        );
+        
+        if (righe.length > 0) {
+            throw new Error('Partita di un torneo');
+        }
+    }
+
+    // Senza punteggio resta quello già registrato, purché coerente con il vincitore
+    async updatePartita(id, squadra1, squadra2, vincitore, data = null, punteggio = null) {
+        const connection = await mysql.createConnection(this.config);
+        
+        try {
+            await connection.beginTransaction();
+            
+            const [rows] = await connection.execute(
+                'SELECT id, squadra1, squadra2, gol_squadra1, gol_squadra2 FROM partite WHERE id = ? FOR UPDATE',
+                [id]
+            );
+            
+            if (rows.length === 0) {
+                throw new Error('Partita non trovata');
+            }
+            
+            await this.verificaPartitaFuoriTorneo(connection, id);
+            
+            const giocatoriPrima = [...parseSquadra(rows[0].squadra1), ...parseSquadra(rows[0].squadra2)];
+            
+            const gol = punteggio || { gol1: rows[0].gol_squadra1, gol2: rows[0].gol_squadra2 };
+            if (gol.gol1 !== null && gol.gol2 !== null && (gol.gol1 > gol.gol2 ? 1 : 2) !== vincitore) {
+                throw new Error('Il punteggio non corrisponde al vincitore');
+            }
+            
+            // Validazione giocatori
+            const tuttiGiocatori = [...squadra1, ...squadra2];
+            const placeholders = tuttiGiocatori.map(() => '?').join(',');
+            const [giocatori] = await connection.execute(
+                `SELECT id, archiviato FROM giocatori WHERE id IN (${placeholders})`,
+                tuttiGiocatori
+            );
+            
+            if (giocatori.length !== 4) {
+                throw new Error('Uno o più giocatori non esistono');
+            }
+            
+            // Come in registraPartita, ma chi era già nella partita può restare
+            // (si deve poter correggere una partita vecchia di un giocatore poi archiviato)
+            if (giocatori.some(g => g.archiviato && !giocatoriPrima.includes(g.id))) {
+                throw new Error('Uno o più giocatori sono archiviati');
+            }
+            
+            await connection.execute(`
+                UPDATE partite 
+                SET squadra1 = ?, 
+                    squadra2 = ?,
+                    vincitore = ?,
+                    gol_squadra1 = ?,
+                    gol_squadra2 = ?,
+                    data = COALESCE(?, data)
+                WHERE id = ?
+            `, [JSON.stringify(squadra1), JSON.stringify(squadra2), vincitore, gol.gol1, gol.gol2, data, id]);
+            
+            // Cambiando giocatori, esito o data cambia l'ordine degli eventi: si rigioca tutto
+            const ricalcolo = await this.ricalcolaStorico(connection);
+            
+            const [aggiornata] = await connection.execute(
+                'SELECT data FROM partite WHERE id = ?',
+                [id]
+            );
+            const [eloGiocatori] = await connection.execute(
+                'SELECT giocatore_id, elo_prima, elo_dopo, delta FROM elo_storico WHERE partita_id = ?',
+                [id]
+            );
+            
+            await connection.commit();
+            this.invalidaCache();
+            
+            return {
+                id,
+                squadra1,
+                squadra2,
+                vincitore,
+                gol_squadra1: gol.gol1,
+                gol_squadra2: gol.gol2,
+                data: aggiornata[0].data,
+                elo_giocatori: eloGiocatori,
+                ...ricalcolo
+            };
+        
+        } catch (error) {
+            await connection.rollback();
+            logger.error('❌ Errore modifica partita:', error);
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    async deletePartita(id) {
+        const connection = await mysql.createConnection(this.config);
+        
+        try {
+            await connection.beginTransaction();
+            
+            const [rows] = await connection.execute(
+                'SELECT id FROM partite WHERE id = ? FOR UPDATE',
+                [id]
+            );
+            
+            if (rows.length === 0) {
+                throw new Error('Partita non trovata');
+            }
+            
+            await this.verificaPartitaFuoriTorneo(connection, id);
+            
+            // Lo storico ELO della partita viene eliminato in cascata
+            await connection.execute('DELETE FROM partite WHERE id = ?', [id]);
+            
+            const ricalcolo = await this.ricalcolaStorico(connection);
+            
+            await connection.commit();
+            this.invalidaCache();
+            
+            return { id, ...ricalcolo };
+        
+        } catch (error) {
+            await connection.rollback();
+            logger.error('❌ Errore eliminazione partita:', error);
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    async annullaPartita(id) {
+        const connection = await mysql.createConnection(this.config);
+        
+        try {
+            await connection.beginTransaction();
+            
+            const [rows] = await connection.execute(
+                'SELECT id, annullata FROM partite WHERE id = ? FOR UPDATE',
+                [id]
+            );
+            
+            if (rows.length === 0) {
+                throw new Error('Partita non trovata');
+            }
+            
+            if (rows[0].annullata) {
+                throw new Error('Partita già annullata');
+            }
+            
+            await this.verificaPartitaFuoriTorneo(connection, id);
+
+            // La partita resta nello storico ma non conta più per ELO e statistiche
+            await connection.execute('UPDATE partite SET annullata = TRUE WHERE id = ?', [id]);
+            
+            const ricalcolo = await this.ricalcolaStorico(connection);
+            
+            await connection.commit();
+            this.invalidaCache();
+            
+            return { id, ...ricalcolo };
+        
+        } catch (error) {
+            await connection.rollback();
+            logger.error('❌ Errore annullamento partita:', error);
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    // Migrazione dei database con partite registrate prima dei rating per ruolo o dei
+    // traguardi: li ricostruisce rigiocando lo storico, una volta sola per entrambi.
+    // Va chiamata dopo createTables; restituisce il ricalcolo o null se non serviva.
+    async completaStorico() {
+        const [partiteValide] = await this.connection.execute('SELECT COUNT(*) as count FROM partite WHERE annullata = FALSE');
+        if (partiteValide[0].count === 0) {
+            return null;
+        }
+        
+        const [righeRuolo] = await this.connection.execute('SELECT COUNT(*) as count FROM rating_ruoli');
+        const [traguardi] = await this.connection.execute('SELECT COUNT(*) as count FROM traguardi');
+        if (righeRuolo[0].count > 0 && traguardi[0].count > 0) {
+            return null;
+        }
+        
+        logger.info('🔄 Calcolo rating per ruolo e traguardi dallo storico partite...');
+        return this.recalculateAll();
+    }
+
+    // Ricostruisce ELO e statistiche di tutti i giocatori dallo storico partite.
+    // Con dryRun le modifiche vengono calcolate e riportate ma non salvate;
+    // con sistema si può rigiocare lo storico con un altro motore per confrontarlo.
+    async recalculateAll({ dryRun = false, sistema = null } = {}) {
+        const rating = sistema && sistema !== this.rating.nome
+            ? createRatingEngine({ ...loadRatingConfig(), sistema })
+            : this.rating;
+        
+        if (rating !== this.rating && !dryRun) {
+            throw new Error('Un sistema di rating diverso da quello configurato è consentito solo in dry run');
+        }
+        
+        const connection = await mysql.createConnection(this.config);
+        
+        try {
+            await connection.beginTransaction();
+            
+            const [prima] = await connection.execute(
+                'SELECT id, nome, elo, partite, vittorie, sconfitte FROM giocatori'
+            );
+            
+            const ricalcolo = await this.ricalcolaStorico(connection, rating);
+            
+            const [dopo] = await connection.execute(
+                'SELECT id, elo, partite, vittorie, sconfitte FROM giocatori'
+            );
+            
+            const dopoMap = {};
+            dopo.forEach(g => {
+                dopoMap[g.id] = g;
+            });
+            
+            // Riporta solo i giocatori i cui valori salvati non coincidevano
+            const differenze = prima
+                .filter(g => ['elo', 'partite', 'vittorie', 'sconfitte'].some(campo => g[campo] !== dopoMap[g.id][campo]))
+                .map(g => ({
+                    giocatore_id: g.id,
+                    nome: g.nome,
+                    elo_prima: g.elo,
+                    elo_dopo: dopoMap[g.id].elo,
+                    partite_prima: g.partite,
+                    partite_dopo: dopoMap[g.id].partite,
+                    vittorie_prima: g.vittorie,
+                    vittorie_dopo: dopoMap[g.id].vittorie,
+                    sconfitte_prima: g.sconfitte,
+                    sconfitte_dopo: dopoMap[g.id].sconfitte
+                }));
+            
+            if (dryRun) {
+                await connection.rollback();
+            } else {
+                await connection.commit();
+                this.invalidaCache();
+            }
+            
+            return {
+                ...ricalcolo,
+                sistema: rating.nome,
+                dry_run: dryRun,
+                differenze
+            };
+        
+        } catch (error) {
+            await connection.rollback();
+            logger.error('❌ Errore ricalcolo completo:', error);
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    // Rigioca in memoria tutte le partite valide in ordine cronologico e riscrive
+    // ELO, contatori dei giocatori e storico. Va chiamato dentro una transazione.
+    // Misura anche quanto il motore prevede bene i risultati, prima di ogni partita.
+    async ricalcolaStorico(connection, rating = this.rating) {
+        const [giocatori] = await connection.execute('SELECT id FROM giocatori FOR UPDATE');
+        const [partite] = await connection.execute(`
+            SELECT id, squadra1, squadra2, vincitore, gol_squadra1, gol_squadra2, data
+            FROM partite
+            WHERE annullata = FALSE
+            ORDER BY data ASC, id ASC
+        `);
+        const [chiusure] = await connection.execute(
+            'SELECT fine, regressione FROM stagioni WHERE fine IS NOT NULL ORDER BY fine ASC'
+        );
+        const [decadimenti] = await connection.execute(
+            'SELECT id, giocatore_id, punti, data FROM decadimenti ORDER BY data ASC, id ASC'
+        );
+        
+        const stati = {};
+        const statiRuolo = {};
+        giocatori.forEach(g => {
+            stati[g.id] = { ...rating.statoIniziale(), partite: 0, vittorie: 0, sconfitte: 0 };
+            statiRuolo[g.id] = {};
+            RUOLI.forEach(ruolo => {
+                statiRuolo[g.id][ruolo] = { ...rating.statoIniziale(), partite: 0, vittorie: 0, sconfitte: 0 };
+            });
+        });
+        
+        const storico = [];
+        const previsioni = { valutate: 0, corrette: 0, brier: 0 };
+        
+        // Traguardi riassegnati da zero: contano le statistiche di carriera, non della stagione
+        const traguardi = [];
+        const statisticheCarriera = {};
+        const sbloccati = {};
+        
+        // Ruoli giocati almeno una volta: la riga resta anche se la stagione riparte da zero partite
+        const ruoliGiocati = new Set();
+        
+        // Chiusura di stagione: tutti i rating, generali e per ruolo, regrediscono insieme
+        let prossimaChiusura = 0;
+        const chiudiStagioniFinoA = data => {
+            while (prossimaChiusura < chiusure.length && (data === null || chiusure[prossimaChiusura].fine <= data)) {
+                const { regressione } = chiusure[prossimaChiusura];
+                
+                for (const id of Object.keys(stati)) {
+                    stati[id] = statoNuovaStagione(rating, stati[id], regressione);
+                    RUOLI.forEach(ruolo => {
+                        statiRuolo[id][ruolo] = statoNuovaStagione(rating, statiRuolo[id][ruolo], regressione);
+                    });
+                }
+                prossimaChiusura++;
+            }
+        };
+        
+        // Decadimenti per inattività, tra partite e chiusure nell'ordine in cui sono avvenuti.
+        // Come in applicaDecadimento il rating non scende sotto quello iniziale e non viene
+        // restituito più di quanto tolto dall'ultima partita.
+        const iniziale = rating.config.iniziale;
+        const decadimentoInCorso = {};
+        const righeDecadimento = [];
+        let prossimoDecadimento = 0;
+        const applicaDecadimentiFinoA = data => {
+            while (prossimoDecadimento < decadimenti.length && (data === null || decadimenti[prossimoDecadimento].data <= data)) {
+                const evento = decadimenti[prossimoDecadimento++];
+                chiudiStagioniFinoA(evento.data);
+                
+                const stato = stati[evento.giocatore_id];
+                const inCorso = decadimentoInCorso[evento.giocatore_id] || 0;
+                const punti = evento.punti > 0
+                    ? Math.min(evento.punti, Math.max(0, stato.elo - iniziale))
+                    : Math.max(evento.punti, -inCorso);
+                
+                // Con TrueSkill il rating è mu: si sposta insieme all'ELO
+                stato.elo -= punti;
+                if (stato.mu != null) {
+                    stato.mu -= punti;
+                }
+                decadimentoInCorso[evento.giocatore_id] = inCorso + punti;
+                righeDecadimento.push([evento.id, evento.giocatore_id, evento.punti, stato.elo, evento.data]);
+            }
+        };
+        
+        for (const partita of partite) {
+            applicaDecadimentiFinoA(partita.data);
+            chiudiStagioniFinoA(partita.data);
+            
+            const squadra1 = parseSquadra(partita.squadra1);
+            const squadra2 = parseSquadra(partita.squadra2);
+            const tuttiGiocatori = [...squadra1, ...squadra2];
+            
+            if (!tuttiGiocatori.every(id => stati[id])) {
+                logger.warn(`⚠️ Partita ${partita.id} ignorata nel ricalcolo: giocatori inesistenti`);
+                continue;
+            }
+            
+            const probabilita1 = rating.probabilitaSquadra(
+                squadra1.map(id => stati[id]), squadra2.map(id => stati[id]), partita.data
+            );
+            const esito1 = partita.vincitore === 1 ? 1 : 0;
+            previsioni.valutate += 1;
+            previsioni.brier += Math.pow(probabilita1 - esito1, 2);
+            if (probabilita1 !== 0.5 && (probabilita1 > 0.5) === (esito1 === 1)) {
+                previsioni.corrette += 1;
+            }
+            
+            const punteggio = { gol1: partita.gol_squadra1, gol2: partita.gol_squadra2 };
+            const calcolo = rating.calcolaPartita(stati, squadra1, squadra2, partita.vincitore, punteggio, partita.data);
+            
+            for (const giocatore of calcolo.giocatori) {
+                const stato = stati[giocatore.giocatore_id];
+                Object.assign(stato, giocatore.stato);
+                stato.partite += 1;
+                stato.vittorie += giocatore.vittoria;
+                stato.sconfitte += 1 - giocatore.vittoria;
+                stato.ultima_partita = partita.data;
+                decadimentoInCorso[giocatore.giocatore_id] = 0;
+                
+                storico.push([
+                    partita.id, giocatore.giocatore_id, giocatore.elo_prima, giocatore.elo_dopo, giocatore.delta
+                ]);
+            }
+            
+            valutaPartita({ ...partita, squadra1, squadra2 }, calcolo.giocatori, statisticheCarriera, sbloccati)
+                .forEach(t => traguardi.push([t.giocatore_id, t.codice, partita.id, partita.data]));
+
+            const ruoli = ruoliInPartita(squadra1, squadra2);
+            const statiPartitaRuolo = {};
+            tuttiGiocatori.forEach(id => {
+                statiPartitaRuolo[id] = statiRuolo[id][ruoli[id]];
+            });
+            
+            const calcoloRuolo = rating.calcolaPartita(
+                statiPartitaRuolo, squadra1, squadra2, partita.vincitore, punteggio, partita.data
+            );
+            
+            for (const giocatore of calcoloRuolo.giocatori) {
+                const stato = statiPartitaRuolo[giocatore.giocatore_id];
+                Object.assign(stato, giocatore.stato);
+                stato.partite += 1;
+                stato.vittorie += giocatore.vittoria;
+                stato.sconfitte += 1 - giocatore.vittoria;
+                stato.ultima_partita = partita.data;
+                ruoliGiocati.add(`${giocatore.giocatore_id}-${ruoli[giocatore.giocatore_id]}`);
+            }
+        }
+        
+        // Decadimenti e stagioni chiuse dopo l'ultima partita
+        applicaDecadimentiFinoA(null);
+        chiudiStagioniFinoA(null);
+        
+        const campiRating = Object.keys(rating.statoIniziale());
+        
+        for (const [id, stato] of Object.entries(stati)) {
+            await connection.execute(
+                `UPDATE giocatori 
+                 SET ${campiRating.map(campo => `${campo} = ?`).join(', ')}, partite = ?, vittorie = ?, sconfitte = ?, decadimento = ? 
+                 WHERE id = ?`,
+                [
+                    ...campiRating.map(campo => stato[campo]),
+                    stato.partite, stato.vittorie, stato.sconfitte, decadimentoInCorso[id] || 0, id
+                ]
+            );
+        }
+        
+        // Solo i ruoli effettivamente giocati hanno una riga
+        const righeRuolo = [];
+        for (const [id, perRuolo] of Object.entries(statiRuolo)) {
+            for (const [ruolo, stato] of Object.entries(perRuolo)) {
+                if (ruoliGiocati.has(`${id}-${ruolo}`)) {
+                    righeRuolo.push([
+                        id, ruolo, ...campiRating.map(campo => stato[campo]), stato.partite, stato.vittorie, stato.sconfitte
+                    ]);
+                }
+            }
+        }
+        
+        await connection.execute('DELETE FROM rating_ruoli');
+        
+        for (let i = 0; i < righeRuolo.length; i += 500) {
+            await connection.query(
+                `INSERT INTO rating_ruoli (giocatore_id, ruolo, ${campiRating.join(', ')}, partite, vittorie, sconfitte) VALUES ?`,
+                [righeRuolo.slice(i, i + 500)]
+            );
+        }
+        
+        await connection.execute('DELETE FROM elo_storico');
+        
+        // Inserimento a blocchi per non superare il limite di placeholder
+        for (let i = 0; i < storico.length; i += 500) {
+            await connection.query(
+                'INSERT INTO elo_storico (partita_id, giocatore_id, elo_prima, elo_dopo, delta) VALUES ?',
+                [storico.slice(i, i + 500)]
+            );
+        }
+        
+        await connection.execute('DELETE FROM traguardi');
+        
+        for (let i = 0; i < traguardi.length; i += 500) {
+            await connection.query(
+                'INSERT INTO traguardi (giocatore_id, codice, partita_id, sbloccato) VALUES ?',
+                [traguardi.slice(i, i + 500)]
+            );
+        }
+        
+        // Stessi eventi con il rating risultante da questo ricalcolo
+        await connection.execute('DELETE FROM decadimenti');
+        
+        for (let i = 0; i < righeDecadimento.length; i += 500) {
+            await connection.query(
+                'INSERT INTO decadimenti (id, giocatore_id, punti, elo_dopo, data) VALUES ?',
+                [righeDecadimento.slice(i, i + 500)]
+            );
+        }
+        
+        // Decadimento maturato ma non ancora applicato, ad esempio se una partita
+        // cancellata allunga l'inattività di qualcuno
+        await this.applicaDecadimento(connection, rating);
+        
+        logger.info(`🔄 Storico ELO ricalcolato: ${partite.length} partite, ${giocatori.length} giocatori`);
+        
+        return {
+            partite_rigiocate: partite.length,
+            giocatori_aggiornati: giocatori.length,
+            traguardi_assegnati: traguardi.length,
+            previsioni: {
+                partite_valutate: previsioni.valutate,
+                // Partite in cui la squadra favorita ha vinto (le previsioni 50/50 non contano)
+                previsioni_corrette: previsioni.corrette,
+                accuratezza: previsioni.valutate ? Math.round(previsioni.corrette / previsioni.valutate * 1000) / 10 : 0,
+                // Errore quadratico medio della probabilità prevista: più basso è meglio
+                brier: previsioni.valutate ? Math.round(previsioni.brier / previsioni.valutate * 10000) / 10000 : 0
+            }
+        };
+    }
+
+    // Decadimento per inattività: dopo i giorni configurati il rating sopra quello iniziale
+    // scende di un tanto a settimana, senza mai andare sotto quello iniziale. Il totale
+    // sottratto dall'ultima partita resta in decadimento, così ogni esecuzione applica solo
+    // la differenza; ogni applicazione è salvata in decadimenti per poterla rigiocare.
+    // Senza connessione usa una transazione propria (il controllo periodico del server),
+    // altrimenti quella del chiamante (ricalcolaStorico).
+    async applicaDecadimento(connection = null, rating = this.rating) {
+        if (!rating.config.inattivita.decadimento) {
+            return { giocatori_aggiornati: 0 };
+        }
+        
+        if (connection) {
+            return this.registraDecadimento(connection, rating);
+        }
+        
+        const transazione = await mysql.createConnection(this.config);
+        
+        try {
+            await transazione.beginTransaction();
+            
+            const risultato = await this.registraDecadimento(transazione, rating);
+            
+            await transazione.commit();
+            if (risultato.giocatori_aggiornati > 0) {
+                this.invalidaCache();
+            }
+            
+            return risultato;
+        
+        } catch (error) {
+            await transazione.rollback();
+            logger.error('❌ Errore decadimento per inattività:', error);
+            throw error;
+        } finally {
+            await transazione.end();
+        }
+    }
+
+    // Applica il decadimento dovuto nella transazione indicata. I giocatori sono bloccati
+    // prima di leggere le ultime partite: una partita registrata in parallelo (che blocca
+    // gli stessi giocatori) finisce prima o dopo, mai a metà.
+    async registraDecadimento(connection, rating) {
+        const { giorni, puntiSettimana } = rating.config.inattivita;
+        
+        const [bloccati] = await connection.execute('SELECT id, elo, decadimento FROM giocatori FOR UPDATE');
+        const [ultime] = await connection.execute(`
+            SELECT s.giocatore_id, MAX(p.data) as ultima_partita
+            FROM elo_storico s
+            JOIN partite p ON p.id = s.partita_id
+            GROUP BY s.giocatore_id
+        `);
+        
+        const ultimaPartita = new Map(ultime.map(r => [r.giocatore_id, r.ultima_partita]));
+        const giocatori = bloccati
+            .filter(g => ultimaPartita.has(g.id))
+            .map(g => ({ ...g, ultima_partita: ultimaPartita.get(g.id) }));
+        
+        const iniziale = rating.config.iniziale;
+        const giornoMs = 24 * 60 * 60 * 1000;
+        let aggiornati = 0;
+        
+        // Al secondo intero, come le date delle partite
+        const adesso = new Date();
+        adesso.setMilliseconds(0);
+        
+        for (const giocatore of giocatori) {
+            const giorniInattivo = (adesso.getTime() - new Date(giocatore.ultima_partita).getTime()) / giornoMs;
+            const settimane = giorniInattivo > giorni ? Math.floor((giorniInattivo - giorni) / 7) + 1 : 0;
+            const eloSenzaDecadimento = giocatore.elo + giocatore.decadimento;
+            const dovuto = Math.round(Math.min(settimane * puntiSettimana, Math.max(0, eloSenzaDecadimento - iniziale)));
+            
+            if (dovuto === giocatore.decadimento) continue;
+            
+            // Con TrueSkill il rating è mu: si sposta insieme all'ELO (NULL resta NULL)
+            const differenza = dovuto - giocatore.decadimento;
+            await connection.execute(
+                'UPDATE giocatori SET elo = elo - ?, mu = mu - ?, decadimento = ? WHERE id = ?',
+                [differenza, differenza, dovuto, giocatore.id]
+            );
+            await connection.execute(
+                'INSERT INTO decadimenti (giocatore_id, punti, elo_dopo, data) VALUES (?, ?, ?, ?)',
+                [giocatore.id, differenza, giocatore.elo - differenza, adesso]
+            );
+            aggiornati++;
+        }
+        
+        if (aggiornati > 0) {
+            logger.info(`📉 Decadimento per inattività applicato a ${aggiornati} giocatori`);
+        }
+        
+        return { giocatori_aggiornati: aggiornati };
+    }
+
+    // Condizioni SQL sulle partite di una stagione: dalla chiusura della precedente
+    // (la prima stagione non ha limite inferiore) fino alla propria chiusura
+    filtroStagione(stagione) {
+        const condizioni = [];
+        const params = [];
+        
+        if (stagione && !stagione.prima) {
+            condizioni.push('data >= ?');
+            params.push(stagione.inizio);
+        }
+        if (stagione && stagione.fine) {
+            condizioni.push('data < ?');
+            params.push(stagione.fine);
+        }
+        
+        return { condizioni, params };
+    }
+
+    formattaStagione(row, primaId) {
+        const classifica = row.classifica ? parseSquadra(row.classifica) : null;
+        const campione = classifica && classifica.find(g => g.id === row.campione_id);
+        
+        return {
+            id: row.id,
+            nome: row.nome,
+            inizio: row.inizio,
+            fine: row.fine,
+            in_corso: row.fine === null,
+            prima: row.id === primaId,
+            reset: row.regressione === null ? null : row.regressione >= 1 ? 'completo' : 'parziale',
+            regressione: row.regressione,
+            campione: campione ? {
+                giocatore_id: campione.id,
+                nome: campione.nome,
+                elo: campione.elo,
+                partite: campione.partite,
+                vittorie: campione.vittorie
+            } : null,
+            classifica
+        };
+    }
+
+    async getStagioni() {
+        try {
+            const [rows] = await this.connection.execute(
+                'SELECT id, nome, inizio, fine, regressione, classifica, campione_id FROM stagioni ORDER BY id DESC'
+            );
+            const primaId = Math.min(...rows.map(r => r.id));
+            
+            const stagioni = [];
+            for (const row of rows) {
+                const { classifica, ...stagione } = this.formattaStagione(row, primaId);
+                const filtro = this.filtroStagione(stagione);
+                const [conteggio] = await this.connection.execute(
+                    `SELECT COUNT(*) as count FROM partite WHERE ${['annullata = FALSE', ...filtro.condizioni].join(' AND ')}`,
+                    filtro.params
+                );
+                
+                stagioni.push({ ...stagione, partite: conteggio[0].count });
+            }
+            
+            return stagioni;
+        } catch (error) {
+            logger.error('❌ Errore recupero stagioni:', error);
+            throw error;
+        }
+    }
+
+    // id numerico oppure "corrente" per la stagione aperta
+    async getStagione(id) {
+        try {
+            const [rows] = await this.connection.execute(
+                `SELECT id, nome, inizio, fine, regressione, classifica, campione_id FROM stagioni 
+                 WHERE ${id === 'corrente' ? 'fine IS NULL' : 'id = ?'}`,
+                id === 'corrente' ? [] : [id]
+            );
+            
+            if (rows.length === 0) {
+                throw new Error('Stagione non trovata');
+            }
+            
+            const [prima] = await this.connection.execute('SELECT MIN(id) as id FROM stagioni');
+            return this.formattaStagione(rows[0], prima[0].id);
+        } catch (error) {
+            logger.error('❌ Errore recupero stagione:', error);
+            throw error;
+        }
+    }
+
+    // Chiude la stagione aperta: archivia la classifica finale, apre la successiva e
+    // rigioca lo storico, che applica la regressione dei rating alla data di chiusura
+    async chiudiStagione({ regressione, nome = null }) {
+        const connection = await mysql.createConnection(this.config);
+        
+        try {
+            await connection.beginTransaction();
+            
+            const [aperte] = await connection.execute('SELECT id, nome FROM stagioni WHERE fine IS NULL FOR UPDATE');
+            const [conteggio] = await connection.execute('SELECT COUNT(*) as count FROM stagioni');
+            
+            // Campione: il migliore con rating non provvisorio, altrimenti il migliore tra chi ha giocato.
+            // Letta nella transazione e non dalla cache, che può non vedere scritture di altri processi
+            const classifica = await this.calcolaClassificaCorrente(connection);
+            const campione = classifica.find(g => g.partite > 0 && !g.rating_provvisorio) ||
+                classifica.find(g => g.partite > 0) ||
+                null;
+            
+            // Al secondo intero, come le date delle partite
+            const fine = new Date();
+            fine.setMilliseconds(0);
+            
+            await connection.execute(
+                'UPDATE stagioni SET fine = ?, regressione = ?, classifica = ?, campione_id = ? WHERE id = ?',
+                [fine, regressione, JSON.stringify(classifica), campione ? campione.id : null, aperte[0].id]
+            );
+            await connection.execute(
+                'INSERT INTO stagioni (nome, inizio) VALUES (?, ?)',
+                [nome || `Stagione ${conteggio[0].count + 1}`, fine]
+            );
+            
+            const ricalcolo = await this.ricalcolaStorico(connection);
+            
+            await connection.commit();
+            this.invalidaCache();
+            
+            logger.info(`🏁 Stagione "${aperte[0].nome}" chiusa, regressione ${regressione}`);
+            
+            return {
+                stagione_chiusa: await this.getStagione(aperte[0].id),
+                stagione_corrente: await this.getStagione('corrente'),
+                ...ricalcolo
+            };
+        
+        } catch (error) {
+            await connection.rollback();
+            logger.error('❌ Errore chiusura stagione:', error);
+            throw error;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    // Lobby "re del tavolo": coda dei giocatori presenti e prossima partita già pronta.
+    // Le regole sono vincitori_restano (chi perde torna in coda, eventualmente con un
+    // massimo di vittorie consecutive) oppure tutti_ruotano.
+    async getLobby() {
+        try {
+            const stato = await this.leggiLobby(this.connection);
+            return await this.formattaLobby(stato);
+        } catch (error) {
+            logger.error('❌ Errore recupero lobby:', error);
+            throw error;
+        }
+    }
+
+    async leggiLobby(connection, perAggiornare = false) {
+        const lock = perAggiornare ? ' FOR UPDATE' : '';
+        const [tavoli] = await connection.execute(
+            `SELECT squadra1, squadra2, vittorie_consecutive, regola, max_vittorie FROM lobby_tavolo WHERE id = 1${lock}`
+        );
+        const [coda] = await connection.execute(
+            `SELECT giocatore_id, entrato FROM lobby_coda ORDER BY ordine ASC${lock}`
+        );
+        
+        const tavolo = tavoli[0];
+        return {
+            regola: tavolo.regola,
+            maxVittorie: tavolo.max_vittorie,
+            squadra1: tavolo.squadra1 ? parseSquadra(tavolo.squadra1) : null,
+            squadra2: tavolo.squadra2 ? parseSquadra(tavolo.squadra2) : null,
+            vittorieConsecutive: tavolo.vittorie_consecutive,
+            coda: coda.map(r => ({ giocatore_id: r.giocatore_id, entrato: r.entrato }))
+        };
+    }
+
+    async salvaLobby(connection, stato) {
+        await connection.execute(`
+            UPDATE lobby_tavolo 
+            SET squadra1 = ?, squadra2 = ?, vittorie_consecutive = ?, regola = ?, max_vittorie = ?
+            WHERE id = 1
+        `, [
+            stato.squadra1 ? JSON.stringify(stato.squadra1) : null,
+            stato.squadra2 ? JSON.stringify(stato.squadra2) : null,
+            stato.vittorieConsecutive,
+            stato.regola,
+            stato.maxVittorie
+        ]);
+        
+        await connection.execute('DELETE FROM lobby_coda');
+        
+        if (stato.coda.length > 0) {
+            await connection.query(
+                'INSERT INTO lobby_coda (giocatore_id, ordine, entrato) VALUES ?',
+                [stato.coda.map((g, indice) => [g.giocatore_id, indice, g.entrato])]
+            );
+        }
+    }
+
+    async formattaLobby(stato) {
+        const ids = [...(stato.squadra1 || []), ...(stato.squadra2 || []), ...stato.coda.map(g => g.giocatore_id)];
+        const nomi = ids.length > 0 ? await this.getNomiGiocatori(ids) : {};
+        const conNomi = squadra => squadra ? squadra.map((id, indice) => ({ giocatore_id: id, nome: nomi[id], ruolo: RUOLI[indice] })) : null;
+        
+        return {
+            regole: {
+                regola: stato.regola,
+                max_vittorie: stato.maxVittorie
+            },
+            // Pronta quando ci sono entrambe le squadre: squadra1 è chi difende il tavolo
+            prossima_partita: stato.squadra1 && stato.squadra2 ? {
+                squadra1: stato.squadra1,
+                squadra2: stato.squadra2,
+                giocatori_squadra1: conNomi(stato.squadra1),
+                giocatori_squadra2: conNomi(stato.squadra2),
+                vittorie_consecutive: stato.vittorieConsecutive
+            } : null,
+            in_attesa_sfidanti: stato.squadra1 && !stato.squadra2 ? conNomi(stato.squadra1) : null,
+            coda: stato.coda.map((g, indice) => ({
+                posizione: indice + 1,
+                giocatore_id: g.giocatore_id,
+                nome: nomi[g.giocatore_id],
+                entrato: g.entrato
+            }))
+        };
+    }
+
+    // Porta al tavolo i primi della coda: 4 giocatori divisi nel modo più equo se il
+    // tavolo è vuoto, oppure 2 sfidanti se c'è già una squadra che difende il tavolo
+    async riempiTavolo(connection, stato) {
+        const daCoda = quanti => stato.coda.splice(0, quanti).map(g => g.giocatore_id);
+        
+        if (!stato.squadra1 && stato.coda.length >= 4) {
+            const ids = daCoda(4);
+            const [righe] = await connection.execute(
+                `SELECT id, nome, ruolo, elo, rd, volatilita, mu, sigma, partite FROM giocatori WHERE id IN (?, ?, ?, ?)`,
+                ids
+            );
+            const quattro = righe.map(r => ({
+                id: r.id, nome: r.nome, ruolo: r.ruolo, stato: r, ruoli: { portiere: null, attaccante: null }
+            }));
+            const divisione = migliorDivisione(quattro, this.rating, { rispettaRuoli: true, coppieDaEvitare: new Set() });
+            
+            stato.squadra1 = divisione.squadra1.map(g => g.id);
+            stato.squadra2 = divisione.squadra2.map(g => g.id);
+            stato.vittorieConsecutive = 0;
+        } else if (stato.squadra1 && !stato.squadra2 && stato.coda.length >= 2) {
+            const sfidanti = daCoda(2);
+            const [righe] = await connection.execute(
+                'SELECT id, ruolo FROM giocatori WHERE id IN (?, ?)',
+                sfidanti
+            );
+            
+            // In porta chi si è dichiarato portiere, se l'ordine di arrivo dice il contrario
+            const ruolo = id => righe.find(r => r.id === id).ruolo;
+            if (ruolo(sfidanti[0]) === 'attaccante' && ruolo(sfidanti[1]) === 'portiere') {
+                sfidanti.reverse();
+            }
+            stato.squadra2 = sfidanti;
+        }
+    }
+
+    // Esegue una modifica della lobby in transazione e riempie il tavolo se si è liberato
+    async modificaLobby(modifica) {
+        const connection = await mysql.createConnection(this.config);
+        
+        try {
+            await connection.beginTransaction();
+            
+            const stato = await this.leggiLobby(connection, true);
+            const risultato = await modifica(stato, connection);
+            
+            await this.riempiTavolo(connection, stato);
+            await this.salvaLobby(connection, stato);
+            
+            await connection.commit();
+            
+            return { ...risultato, lobby: await this.formattaLobby(stato) };
+        
         } catch (error) {
-            logger.error('❌ Errore connessione database:', error);
+            await connection.rollback();
+            logger.error('❌ Errore aggiornamento lobby:', error);
             throw error;
+        } finally {
+            await connection.end();
         }
     }
 
-    async createTables() {
-        try {
-            // Tabella giocatori
-            const createGiocatoriTable = `
-                CREATE TABLE IF NOT EXISTS giocatori (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    nome VARCHAR(100) NOT NULL UNIQUE,
-                    ruolo ENUM('portiere', 'attaccante') NOT NULL,
-                    elo INT DEFAULT 1500,
-                    partite INT DEFAULT 0,
-                    vittorie INT DEFAULT 0,
-                    sconfitte INT DEFAULT 0,
-                    creato TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    aggiornato TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                    
-                    INDEX idx_nome (nome),
-                    INDEX idx_elo (elo),
-                    INDEX idx_ruolo (ruolo),
-                    INDEX idx_partite (partite)
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-            `;
+    async entraInLobby(giocatoreId) {
+        return this.modificaLobby(async (stato, connection) => {
+            const [giocatori] = await connection.execute('SELECT id, archiviato FROM giocatori WHERE id = ?', [giocatoreId]);
             
-            await this.connection.execute(createGiocatoriTable);
+            if (giocatori.length === 0) {
+                throw new Error('Giocatore non trovato');
+            }
+            
+            if (giocatori[0].archiviato) {
+                throw new Error('Giocatore archiviato');
+            }
+            
+            const alTavolo = [...(stato.squadra1 || []), ...(stato.squadra2 || [])];
+            if (alTavolo.includes(giocatoreId) || stato.coda.some(g => g.giocatore_id === giocatoreId)) {
+                throw new Error('Giocatore già in lobby');
+            }
+            
+            stato.coda.push({ giocatore_id: giocatoreId, entrato: new Date() });
+        });
+    }
 
-            // Tabella partite
-            const createPartiteTable = `
-                CREATE TABLE IF NOT EXISTS partite (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    squadra1 JSON NOT NULL,
-                    squadra2 JSON NOT NULL,
-                    vincitore TINYINT NOT NULL CHECK (vincitore IN (1, 2)),
-                    data TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    
-                    INDEX idx_data (data),
-                    INDEX idx_vincitore (vincitore)
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-            `;
+    // Chi esce dal tavolo libera la sua squadra: il compagno torna in testa alla coda
+    // e l'altra squadra resta al tavolo in attesa di sfidanti
+    async esciDallaLobby(giocatoreId) {
+        return this.modificaLobby(async (stato) => {
+            const inCoda = stato.coda.findIndex(g => g.giocatore_id === giocatoreId);
+            
+            if (inCoda !== -1) {
+                stato.coda.splice(inCoda, 1);
+                return;
+            }
             
-            await this.connection.execute(createPartiteTable);
+            const squadraUscente = [stato.squadra1, stato.squadra2].find(s => s && s.includes(giocatoreId));
+            if (!squadraUscente) {
+                throw new Error('Giocatore non in lobby');
+            }
+            
+            const compagno = squadraUscente.find(id => id !== giocatoreId);
+            stato.coda.unshift({ giocatore_id: compagno, entrato: new Date() });
+            
+            // La squadra che difendeva il tavolo perde la serie solo se è lei a uscire
+            if (squadraUscente === stato.squadra1) {
+                stato.squadra1 = stato.squadra2;
+                stato.vittorieConsecutive = 0;
+            }
+            stato.squadra2 = null;
+        });
+    }
 
-            logger.info('✅ Tabelle create/verificate');
-        } catch (error) {
-            logger.error('❌ Errore creazione tabelle:', error);
-            throw error;
-        }
+    async impostaRegoleLobby({ regola, maxVittorie }) {
+        return this.modificaLobby(async (stato) => {
+            if (regola !== undefined) stato.regola = regola;
+            if (maxVittorie !== undefined) stato.maxVittorie = maxVittorie;
+        });
     }
 
-    async insertSampleData() {
-        try {
-            // Controlla se ci sono già giocatori
-            const [rows] = await this.connection.execute('SELECT COUNT(*) as count FROM giocatori');
-            const count = rows[0].count;
-            
-            if (count === 0) {
-                const samplePlayers = [
-                    ['Mario', 'portiere'],
-                    ['Luigi', 'attaccante'],
-                    ['Paolo', 'portiere'],
-                    ['Marco', 'attaccante'],
-                    ['Giovanni', 'portiere'],
-                    ['Luca', 'attaccante']
-                ];
+    async svuotaLobby() {
+        return this.modificaLobby(async (stato) => {
+            stato.squadra1 = null;
+            stato.squadra2 = null;
+            stato.vittorieConsecutive = 0;
+            stato.coda = [];
+        });
+    }
 
-                for (const [nome, ruolo] of samplePlayers) {
-                    await this.connection.execute(
-                        'INSERT INTO giocatori (nome, ruolo) VALUES (?, ?)',
-                        [nome, ruolo]
-                    );
-                }
-                
-                logger.info(`✅ Inseriti ${samplePlayers.length} giocatori di esempio`);
+    // Chiamato dopo createPartita: se la partita registrata è quella sul tavolo applica
+    // le regole della lobby e prepara la successiva, altrimenti non cambia nulla
+    async avanzaLobby(partita) {
+        return this.modificaLobby(async (stato) => {
+            const stessaSquadra = (a, b) => a && b && a.length === b.length && a.every(id => b.includes(id));
+            const sulTavolo = stato.squadra1 && stato.squadra2 && (
+                (stessaSquadra(partita.squadra1, stato.squadra1) && stessaSquadra(partita.squadra2, stato.squadra2)) ||
+                (stessaSquadra(partita.squadra1, stato.squadra2) && stessaSquadra(partita.squadra2, stato.squadra1))
+            );
+            
+            if (!sulTavolo) {
+                return { avanzata: false };
             }
-        } catch (error) {
-            logger.error('❌ Errore inserimento dati di esempio:', error);
-            // Non critico, l'app può funzionare senza dati di esempio
-        }
+            
+            const vincenti = partita.vincitore === 1 ? partita.squadra1 : partita.squadra2;
+            const perdenti = partita.vincitore === 1 ? partita.squadra2 : partita.squadra1;
+            const accoda = ids => ids.forEach(id => stato.coda.push({ giocatore_id: id, entrato: new Date() }));
+            
+            // La serie continua solo se a vincere è chi difendeva già il tavolo
+            const serie = stato.vittorieConsecutive > 0 && stessaSquadra(vincenti, stato.squadra1)
+                ? stato.vittorieConsecutive + 1
+                : 1;
+            const limiteRaggiunto = stato.maxVittorie > 0 && serie >= stato.maxVittorie;
+            
+            accoda(perdenti);
+            
+            if (stato.regola === 'tutti_ruotano' || limiteRaggiunto) {
+                accoda(vincenti);
+                stato.squadra1 = null;
+                stato.vittorieConsecutive = 0;
+            } else {
+                stato.squadra1 = vincenti;
+                stato.vittorieConsecutive = serie;
+            }
+            stato.squadra2 = null;
+            
+            return { avanzata: true, vittorie_consecutive: serie, limite_raggiunto: limiteRaggiunto };
+        });
     }
 
-    async getGiocatori() {
+    // Tornei a squadre fisse: iscrizioni aperte finché il torneo non viene avviato,
+    // poi tabellone o calendario sono generati con le teste di serie per ELO combinato
+    // della coppia. Nei tornei neutrali le partite restano nel torneo e non toccano i rating.
+    async getTornei() {
         try {
             const [rows] = await this.connection.execute(`
-                SELECT 
-                    id, nome, ruolo, elo, partite, vittorie, sconfitte, creato
-                FROM giocatori
-                ORDER BY elo DESC, nome ASC
+                SELECT t.id, t.nome, t.formato, t.neutrale, t.stato, t.turni, t.campione_id, t.creato, t.concluso,
+                       COUNT(s.id) as squadre
+                FROM tornei t
+                LEFT JOIN tornei_squadre s ON s.torneo_id = t.id
+                GROUP BY t.id
+                ORDER BY t.creato DESC, t.id DESC
             `);
             
-            return rows.map(row => ({
-                id: row.id,
-                nome: row.nome,
-                ruolo: row.ruolo,
-                elo: row.elo,
-                partite: row.partite,
-                vittorie: row.vittorie,
-                sconfitte: row.sconfitte,
-                creato: row.creato
-            }));
+            return rows.map(row => ({ ...row, neutrale: !!row.neutrale }));
         } catch (error) {
-            logger.error('❌ Errore recupero giocatori:', error);
+            logger.error('❌ Errore recupero tornei:', error);
             throw error;
         }
     }
 
-    async createGiocatore(nome, ruolo) {
+    async getTorneo(id) {
         try {
-            // Controlla se il giocatore esiste già
-            const [existing] = await this.connection.execute(
-                'SELECT id FROM giocatori WHERE LOWER(nome) = LOWER(?)',
-                [nome]
-            );
-            
-            if (existing.length > 0) {
-                throw new Error('Giocatore già esistente');
-            }
-            
-            const [result] = await this.connection.execute(
-                'INSERT INTO giocatori (nome, ruolo, elo, partite, vittorie, sconfitte) VALUES (?, ?, 1500, 0, 0, 0)',
-                [nome, ruolo]
-            );
-            
-            return {
-                id: result.insertId,
-                nome,
-                ruolo,
-                elo: 1500,
-                partite: 0,
-                vittorie: 0,
-                sconfitte: 0
-            };
+            return await this.leggiTorneo(this.connection, id);
         } catch (error) {
-            logger.error('❌ Errore creazione giocatore:', error);
+            logger.error('❌ Errore recupero torneo:', error);
             throw error;
         }
     }
 
-    async getPartite() {
+    async leggiTorneo(connection, id) {
+        const [tornei] = await connection.execute(
+            'SELECT id, nome, formato, neutrale, stato, turni, campione_id, creato, concluso FROM tornei WHERE id = ?',
+            [id]
+        );
+        
+        if (tornei.length === 0) {
+            throw new Error('Torneo non trovato');
+        }
+        
+        const torneo = tornei[0];
+        const squadre = await this.leggiSquadreTorneo(connection, id);
+        const partite = await this.leggiPartiteTorneo(connection, id);
+        
+        const squadra = squadraId => {
+            const trovata = squadre.find(s => s.id === squadraId);
+            return trovata ? {
+                id: trovata.id,
+                nome: trovata.nome,
+                giocatori: [trovata.portiere.giocatore_id, trovata.attaccante.giocatore_id]
+            } : null;
+        };
+        
+        // Nei tornei a punti le squadre sono già in ordine di testa di serie
+        const classifica = classificaTorneo(torneo.formato, squadre.map(s => s.id), partite);
+        
+        return {
+            id: torneo.id,
+            nome: torneo.nome,
+            formato: torneo.formato,
+            neutrale: !!torneo.neutrale,
+            stato: torneo.stato,
+            turni: torneo.turni,
+            turno_corrente: partite.length > 0 ? Math.max(...partite.map(p => p.turno)) : null,
+            creato: torneo.creato,
+            concluso: torneo.concluso,
+            campione: squadra(torneo.campione_id),
+            squadre,
+            classifica: classifica ? classifica.map(riga => ({ ...riga, nome: squadra(riga.squadra_id).nome })) : null,
+            partite: partite.map(p => ({
+                id: p.id,
+                chiave: p.chiave,
+                tabellone: p.tabellone,
+                turno: p.turno,
+                posizione: p.posizione,
+                squadra1: squadra(p.squadra1_id),
+                squadra2: squadra(p.squadra2_id),
+                vincitore: p.vincitore,
+                gol_squadra1: p.gol_squadra1,
+                gol_squadra2: p.gol_squadra2,
+                completata: p.completata,
+                bye: p.bye,
+                giocabile: !p.completata && p.squadra1_id !== null && p.squadra2_id !== null,
+                partita_id: p.partita_id,
+                giocata: p.giocata
+            }))
+        };
+    }
+
+    async leggiSquadreTorneo(connection, torneoId) {
+        const [rows] = await connection.execute(`
+            SELECT s.id, s.nome, s.portiere_id, s.attaccante_id, s.testa_di_serie, s.elo_combinato,
+                   p.nome as nome_portiere, p.elo as elo_portiere,
+                   a.nome as nome_attaccante, a.elo as elo_attaccante
+            FROM tornei_squadre s
+            JOIN giocatori p ON p.id = s.portiere_id
+            JOIN giocatori a ON a.id = s.attaccante_id
+            WHERE s.torneo_id = ?
+            ORDER BY s.testa_di_serie IS NULL, s.testa_di_serie, s.id
+        `, [torneoId]);
+        
+        return rows.map(row => ({
+            id: row.id,
+            nome: row.nome || `${row.nome_portiere} & ${row.nome_attaccante}`,
+            portiere: { giocatore_id: row.portiere_id, nome: row.nome_portiere, elo: row.elo_portiere },
+            attaccante: { giocatore_id: row.attaccante_id, nome: row.nome_attaccante, elo: row.elo_attaccante },
+            testa_di_serie: row.testa_di_serie,
+            // Fissato all'avvio; prima è quello attuale dei due giocatori
+            elo_combinato: row.elo_combinato ?? row.elo_portiere + row.elo_attaccante
+        }));
+    }
+
+    async leggiPartiteTorneo(connection, torneoId, perAggiornare = false) {
+        const [rows] = await connection.execute(`
+            SELECT id, chiave, tabellone, turno, posizione, squadra1_id, squadra2_id, vincitore,
+                   gol_squadra1, gol_squadra2, completata, bye, prossima_vincente, slot_vincente,
+                   prossima_perdente, slot_perdente, partita_id, giocata
+            FROM tornei_partite
+            WHERE torneo_id = ?
+            ORDER BY id ASC${perAggiornare ? ' FOR UPDATE' : ''}
+        `, [torneoId]);
+        
+        return rows.map(row => ({ ...row, completata: !!row.completata, bye: !!row.bye }));
+    }
+
+    // Inserisce le partite nuove e aggiorna squadre ed esito di quelle esistenti
+    async salvaPartiteTorneo(connection, torneoId, partite) {
+        await connection.query(`
+            INSERT INTO tornei_partite (
+                torneo_id, chiave, tabellone, turno, posizione, squadra1_id, squadra2_id, vincitore,
+                completata, bye, prossima_vincente, slot_vincente, prossima_perdente, slot_perdente
+            ) VALUES ?
+            ON DUPLICATE KEY UPDATE
+                squadra1_id = VALUES(squadra1_id),
+                squadra2_id = VALUES(squadra2_id),
+                vincitore = VALUES(vincitore),
+                completata = VALUES(completata),
+                bye = VALUES(bye)
+        `, [partite.map(p => [
+            torneoId, p.chiave, p.tabellone, p.turno, p.posizione, p.squadra1_id, p.squadra2_id, p.vincitore,
+            p.completata, p.bye, p.prossima_vincente, p.slot_vincente, p.prossima_perdente, p.slot_perdente
+        ])]);
+    }
+
+    // Esegue una modifica di un torneo in transazione, con il torneo bloccato
+    async modificaTorneo(id, modifica) {
+        const connection = await mysql.createConnection(this.config);
+        
         try {
-            const [rows] = await this.connection.execute(`
-                SELECT 
-                    id, squadra1, squadra2, vincitore, data
-                FROM partite
-                ORDER BY data DESC
-            `);
+            await connection.beginTransaction();
             
-            const partite = [];
+            const [tornei] = await connection.execute(
+                'SELECT id, formato, neutrale, stato, turni FROM tornei WHERE id = ? FOR UPDATE',
+                [id]
+            );
             
-            for (const row of rows) {
-                const squadra1 = JSON.parse(row.squadra1);
-                const squadra2 = JSON.parse(row.squadra2);
-                
-                // Recupera nomi giocatori
-                const nomiGiocatori = await this.getNomiGiocatori([
-                    squadra1[0], squadra1[1], squadra2[0], squadra2[1]
-                ]);
-                
-                partite.push({
-                    id: row.id,
-                    squadra1,
-                    squadra2,
-                    vincitore: row.vincitore,
-                    data: row.data,
-                    nomi_giocatori: {
-                        squadra1_portiere: nomiGiocatori[squadra1[0]],
-                        squadra1_attaccante: nomiGiocatori[squadra1[1]],
-                        squadra2_portiere: nomiGiocatori[squadra2[0]],
-                        squadra2_attaccante: nomiGiocatori[squadra2[1]]
-                    }
-                });
+            if (tornei.length === 0) {
+                throw new Error('Torneo non trovato');
             }
             
-            return partite;
+            const risultato = await modifica(tornei[0], connection);
+            
+            await connection.commit();
+            this.invalidaCache();
+            
+            return { ...risultato, torneo: await this.getTorneo(id) };
+        
         } catch (error) {
-            logger.error('❌ Errore recupero partite:', error);
+            await connection.rollback();
+            logger.error('❌ Errore aggiornamento torneo:', error);
             throw error;
+        } finally {
+            await connection.end();
         }
     }
 
-    async getNomiGiocatori(ids) {
+    // turni vale solo per lo svizzero: se assente viene deciso all'avvio in base alle squadre
+    async createTorneo(nome, formato, neutrale = false, turni = null) {
         try {
-            const placeholders = ids.map(() => '?').join(',');
-            const [rows] = await this.connection.execute(
-                `SELECT id, nome FROM giocatori WHERE id IN (${placeholders})`,
-                ids
+            const [result] = await this.connection.execute(
+                'INSERT INTO tornei (nome, formato, neutrale, turni) VALUES (?, ?, ?, ?)',
+                [nome, formato, neutrale, turni]
             );
             
-            const nomiMap = {};
-            rows.forEach(row => {
-                nomiMap[row.id] = row.nome;
-            });
-            
-            return nomiMap;
+            return await this.getTorneo(result.insertId);
         } catch (error) {
-            logger.error('❌ Errore recupero nomi giocatori:', error);
+            logger.error('❌ Errore creazione torneo:', error);
             throw error;
         }
     }
 
-    async createPartita(squadra1, squadra2, vincitore) {
-        const connection = await mysql.createConnection(this.config);
-        
-        try {
-            await connection.beginTransaction();
+    async iscriviSquadraTorneo(torneoId, portiereId, attaccanteId, nome = null) {
+        return this.modificaTorneo(torneoId, async (torneo, connection) => {
+            if (torneo.stato !== 'iscrizioni') {
+                throw new Error('Iscrizioni chiuse');
+            }
             
-            // Validazione giocatori
-            const tuttiGiocatori = [...squadra1, ...squadra2];
-            const placeholders = tuttiGiocatori.map(() => '?').join(',');
             const [giocatori] = await connection.execute(
-                `SELECT id, elo FROM giocatori WHERE id IN (${placeholders})`,
-                tuttiGiocatori
+                'SELECT id, archiviato FROM giocatori WHERE id IN (?, ?)',
+                [portiereId, attaccanteId]
             );
             
-            if (giocatori.length !== 4) {
-                throw new Error('Uno o più giocatori non esistono');
+            if (giocatori.length !== 2) {
+                throw new Error('Giocatore non trovato');
             }
             
-            // Crea mappa ELO
-            const eloMap = {};
-            giocatori.forEach(g => {
-                eloMap[g.id] = g.elo;
-            });
+            if (giocatori.some(g => g.archiviato)) {
+                throw new Error('Giocatore archiviato');
+            }
+
+            const [iscritti] = await connection.execute(`
+                SELECT id FROM tornei_squadre 
+                WHERE torneo_id = ? AND (portiere_id IN (?, ?) OR attaccante_id IN (?, ?))
+            `, [torneoId, portiereId, attaccanteId, portiereId, attaccanteId]);
             
-            // Calcola ELO medio per squadra
-            const eloSquadra1 = (eloMap[squadra1[0]] + eloMap[squadra1[1]]) / 2;
-            const eloSquadra2 = (eloMap[squadra2[0]] + eloMap[squadra2[1]]) / 2;
+            if (iscritti.length > 0) {
+                throw new Error('Giocatore già iscritto');
+            }
             
-            // Calcola nuovi ELO
-            const k = 32; // Fattore K
-            const risultato1 = vincitore === 1 ? 1 : 0;
-            const risultato2 = vincitore === 2 ? 1 : 0;
+            const [result] = await connection.execute(
+                'INSERT INTO tornei_squadre (torneo_id, nome, portiere_id, attaccante_id) VALUES (?, ?, ?, ?)',
+                [torneoId, nome, portiereId, attaccanteId]
+            );
             
-            const nuoviEloSquadra1 = this.calcolaELO(eloSquadra1, eloSquadra2, risultato1, k);
-            const nuoviEloSquadra2 = this.calcolaELO(eloSquadra2, eloSquadra1, risultato2, k);
+            return { squadra_id: result.insertId };
+        });
+    }
+
+    // Chiude le iscrizioni: teste di serie per somma degli ELO dei due giocatori
+    // (a parità, chi si è iscritto prima) e tabellone con i bye già assegnati
+    async avviaTorneo(id) {
+        return this.modificaTorneo(id, async (torneo, connection) => {
+            if (torneo.stato !== 'iscrizioni') {
+                throw new Error('Torneo già avviato');
+            }
             
-            const deltaElo1 = nuoviEloSquadra1 - eloSquadra1;
-            const deltaElo2 = nuoviEloSquadra2 - eloSquadra2;
+            const [squadre] = await connection.execute(`
+                SELECT s.id, p.elo + a.elo as elo_combinato
+                FROM tornei_squadre s
+                JOIN giocatori p ON p.id = s.portiere_id
+                JOIN giocatori a ON a.id = s.attaccante_id
+                WHERE s.torneo_id = ?
+                ORDER BY elo_combinato DESC, s.id ASC
+            `, [id]);
+            
+            if (squadre.length < 2) {
+                throw new Error('Servono almeno 2 squadre');
+            }
             
-            // Aggiorna ELO e statistiche giocatori
-            for (const giocatoreId of squadra1) {
-                const nuovoElo = eloMap[giocatoreId] + deltaElo1;
-                const isVincitore = vincitore === 1 ? 1 : 0;
-                
-                await connection.execute(`
-                    UPDATE giocatori 
-                    SET elo = ?, 
-                        partite = partite + 1,
-                        vittorie = vittorie + ?,
-                        sconfitte = sconfitte + ?
-                    WHERE id = ?
-                `, [nuovoElo, isVincitore, 1 - isVincitore, giocatoreId]);
-            }
-            
-            for (const giocatoreId of squadra2) {
-                const nuovoElo = eloMap[giocatoreId] + deltaElo2;
-                const isVincitore = vincitore === 2 ? 1 : 0;
-                
-                await connection.execute(`
-                    UPDATE giocatori 
-                    SET elo = ?, 
-                        partite = partite + 1,
-                        vittorie = vittorie + ?,
-                        sconfitte = sconfitte + ?
-                    WHERE id = ?
-                `, [nuovoElo, isVincitore, 1 - isVincitore, giocatoreId]);
+            for (const [indice, squadra] of squadre.entries()) {
+                await connection.execute(
+                    'UPDATE tornei_squadre SET testa_di_serie = ?, elo_combinato = ? WHERE id = ?',
+                    [indice + 1, squadra.elo_combinato, squadra.id]
+                );
             }
             
-            // Inserisci partita
-            const [result] = await connection.execute(
-                'INSERT INTO partite (squadra1, squadra2, vincitore, data) VALUES (?, ?, ?, NOW())',
-                [JSON.stringify(squadra1), JSON.stringify(squadra2), vincitore]
-            );
+            const partite = generaPartite(torneo.formato, squadre.map(s => s.id));
+            const turni = torneo.formato === 'svizzero' ? torneo.turni ?? turniSvizzeri(squadre.length) : null;
             
-            await connection.commit();
+            await this.salvaPartiteTorneo(connection, id, partite);
+            await connection.execute("UPDATE tornei SET stato = 'in_corso', turni = ? WHERE id = ?", [turni, id]);
+        });
+    }
+
+    async leggiTesteDiSerie(connection, torneoId) {
+        const [rows] = await connection.execute(
+            'SELECT id FROM tornei_squadre WHERE torneo_id = ? ORDER BY testa_di_serie ASC',
+            [torneoId]
+        );
+        return rows.map(row => row.id);
+    }
+
+    // Sistema svizzero: il turno successivo si genera quando il precedente è finito,
+    // accoppiando le squadre con la classifica aggiornata
+    async generaTurnoTorneo(id) {
+        return this.modificaTorneo(id, async (torneo, connection) => {
+            if (torneo.formato !== 'svizzero') {
+                throw new Error('Turni non previsti');
+            }
             
-            return {
-                id: result.insertId,
-                squadra1,
-                squadra2,
-                vincitore,
-                elo_changes: {
-                    squadra1_delta: deltaElo1,
-                    squadra2_delta: deltaElo2
-                }
-            };
+            if (torneo.stato !== 'in_corso') {
+                throw new Error('Torneo non in corso');
+            }
             
-        } catch (error) {
-            await connection.rollback();
-            logger.error('❌ Errore creazione partita:', error);
-            throw error;
-        } finally {
-            await connection.end();
-        }
+            const partite = await this.leggiPartiteTorneo(connection, id, true);
+            
+            if (partite.some(p => !p.completata)) {
+                throw new Error('Turno in corso');
+            }
+            
+            const turno = Math.max(...partite.map(p => p.turno)) + 1;
+            const nuove = turnoSvizzero(await this.leggiTesteDiSerie(connection, id), partite, turno);
+            
+            await this.salvaPartiteTorneo(connection, id, nuove);
+            
+            return { turno };
+        });
     }
 
-    calcolaELO(eloA, eloB, risultato, k = 32) {
-        const atteso = 1 / (1 + Math.pow(10, (eloB - eloA) / 400));
-        return Math.round(eloA + k * (risultato - atteso));
+    // Registra l'esito di una partita del torneo: se il torneo non è neutrale passa
+    // per registraPartita nella stessa transazione, così rating e tabellone restano allineati
+    async registraRisultatoTorneo(torneoId, partitaTorneoId, vincitore, punteggio = null) {
+        return this.modificaTorneo(torneoId, async (torneo, connection) => {
+            if (torneo.stato !== 'in_corso') {
+                throw new Error('Torneo non in corso');
+            }
+            
+            const partite = await this.leggiPartiteTorneo(connection, torneoId, true);
+            const partitaTorneo = partite.find(p => p.id === partitaTorneoId);
+            
+            if (!partitaTorneo) {
+                throw new Error('Partita del torneo non trovata');
+            }
+            
+            if (partitaTorneo.completata || partitaTorneo.squadra1_id === null || partitaTorneo.squadra2_id === null) {
+                throw new Error('Partita del torneo non giocabile');
+            }
+            
+            const [squadre] = await connection.execute(
+                'SELECT id, portiere_id, attaccante_id FROM tornei_squadre WHERE id IN (?, ?)',
+                [partitaTorneo.squadra1_id, partitaTorneo.squadra2_id]
+            );
+            const giocatori = squadraId => {
+                const squadra = squadre.find(s => s.id === squadraId);
+                return [squadra.portiere_id, squadra.attaccante_id];
+            };
+            
+            const partita = torneo.neutrale
+                ? null
+                : await this.registraPartita(
+                    connection,
+                    giocatori(partitaTorneo.squadra1_id),
+                    giocatori(partitaTorneo.squadra2_id),
+                    vincitore,
+                    punteggio
+                );
+            
+            const squadreOrdinate = await this.leggiTesteDiSerie(connection, torneoId);
+            const campioneId = registraRisultato(torneo, partite, partitaTorneo.chiave, vincitore, punteggio, squadreOrdinate);
+            await this.salvaPartiteTorneo(connection, torneoId, partite);
+            
+            await connection.execute(
+                'UPDATE tornei_partite SET gol_squadra1 = ?, gol_squadra2 = ?, partita_id = ?, giocata = NOW() WHERE id = ?',
+                [punteggio ? punteggio.gol1 : null, punteggio ? punteggio.gol2 : null, partita ? partita.id : null, partitaTorneoId]
+            );
+            
+            if (campioneId !== null) {
+                await connection.execute(
+                    "UPDATE tornei SET stato = 'concluso', campione_id = ?, concluso = NOW() WHERE id = ?",
+                    [campioneId, torneoId]
+                );
+            }
+            
+            return { partita, concluso: campioneId !== null };
+        });
     }
 
     async checkHealth() {
         try {
+            // Reconnect if connection is lost
+            if (!this.connection || this.connection.connection._closing) {
+                await this.connect();
+            }
+            
             const [versionResult] = await this.connection.execute('SELECT VERSION() as version');
             const [giocatoriCount] = await this.connection.execute('SELECT COUNT(*) as count FROM giocatori');
             const [partiteCount] = await this.connection.execute('SELECT COUNT(*) as count FROM partite');
@@ -797,7 +3401,10 @@ class Database {
                 connected: true,
                 mysql_version: versionResult[0].version,
                 giocatori_count: giocatoriCount[0].count,
-                partite_count: partiteCount[0].count
+                partite_count: partiteCount[0].count,
+                host: this.config.host,
+                database: this.config.database,
+                ssl: !!this.config.ssl
             };
         } catch (error) {
             logger.error('❌ Health check failed:', error);
@@ -810,13 +3417,15 @@ class Database {
 
     async exportData() {
         try {
-            const giocatori = await this.getGiocatori();
+            // Anche gli archiviati: le loro partite sono nel backup
+            const giocatori = await this.getGiocatori({ includiArchiviati: true });
             const partite = await this.getPartite();
             
             return {
                 metadata: {
                     esportato: new Date().toISOString(),
                     versione: '2.0',
+                    platform: 'Railway',
                     totale_giocatori: giocatori.length,
                     totale_partite: partite.length
                 },
@@ -837,12 +3446,24 @@ class Database {
             }
             
             await this.connection.execute('SET FOREIGN_KEY_CHECKS = 0');
+            await this.connection.execute('TRUNCATE TABLE elo_storico');
+            await this.connection.execute('TRUNCATE TABLE rating_ruoli');
+            await this.connection.execute('TRUNCATE TABLE traguardi');
+            await this.connection.execute('TRUNCATE TABLE decadimenti');
+            await this.connection.execute('TRUNCATE TABLE lobby_coda');
+            await this.connection.execute('TRUNCATE TABLE tornei_partite');
+            await this.connection.execute('TRUNCATE TABLE tornei_squadre');
+            await this.connection.execute('TRUNCATE TABLE tornei');
+            await this.connection.execute('TRUNCATE TABLE stagioni');
+            await this.connection.execute("INSERT INTO stagioni (nome) VALUES ('Stagione 1')");
+            await this.connection.execute('UPDATE lobby_tavolo SET squadra1 = NULL, squadra2 = NULL, vittorie_consecutive = 0');
             await this.connection.execute('TRUNCATE TABLE partite');
             await this.connection.execute('TRUNCATE TABLE giocatori');
             await this.connection.execute('SET FOREIGN_KEY_CHECKS = 1');
             
             // Reinserisce dati di esempio
             await this.insertSampleData();
+            this.invalidaCache();
             
             logger.info('✅ Database resettato');
             return true;
@@ -0,0 +1,95 @@
+const logger = require('../utils/logger');
+
+const SISTEMI = ['elo', 'glicko2', 'trueskill'];
+const STRATEGIE_K = ['fisso', 'provvisorio', 'soglia', 'esperienza'];
+
+/**
+ * Legge un parametro numerico dall'ambiente
+ * @param {Object} env - Variabili d'ambiente
+ * @param {string} nome - Nome della variabile
+ * @param {number} predefinito - Valore se assente o non valido
+ * @returns {number} valore letto
+ */
+function leggiNumero(env, nome, predefinito) {
+    if (env[nome] === undefined || env[nome] === '') return predefinito;
+
+    const valore = Number(env[nome]);
+    if (!Number.isFinite(valore) || valore <= 0) {
+        logger.warn(`⚠️ ${nome}=${env[nome]} non valido, uso ${predefinito}`);
+        return predefinito;
+    }
+    return valore;
+}
+
+/**
+ * Carica i parametri del sistema di rating dalle variabili d'ambiente
+ * @param {Object} env - Variabili d'ambiente (default process.env)
+ * @returns {Object} configurazione rating
+ */
+function loadRatingConfig(env = process.env) {
+    let sistema = env.RATING_SYSTEM || 'elo';
+    if (!SISTEMI.includes(sistema)) {
+        logger.warn(`⚠️ RATING_SYSTEM=${sistema} non valido, uso "elo"`);
+        sistema = 'elo';
+    }
+
+    let strategiaK = env.RATING_K_STRATEGY || 'fisso';
+    if (!STRATEGIE_K.includes(strategiaK)) {
+        logger.warn(`⚠️ RATING_K_STRATEGY=${strategiaK} non valida, uso "fisso"`);
+        strategiaK = 'fisso';
+    }
+
+    const k = leggiNumero(env, 'RATING_K', 32);
+    const beta = leggiNumero(env, 'RATING_TRUESKILL_BETA', 200);
+    const sigmaIniziale = leggiNumero(env, 'RATING_TRUESKILL_SIGMA', beta * 2);
+
+    return {
+        sistema,
+        iniziale: Math.round(leggiNumero(env, 'RATING_INITIAL', 1500)),
+        k,
+        divisore: leggiNumero(env, 'RATING_DIVISOR', 400),
+        strategiaK,
+        // Strategia "provvisorio": K più alto per le prime partite
+        partiteProvvisorie: Math.round(leggiNumero(env, 'RATING_PROVISIONAL_GAMES', 10)),
+        kProvvisorio: leggiNumero(env, 'RATING_PROVISIONAL_K', k * 1.5),
+        // Strategia "soglia": K ridotto sopra un certo rating
+        sogliaElo: leggiNumero(env, 'RATING_THRESHOLD', 1800),
+        kSoglia: leggiNumero(env, 'RATING_THRESHOLD_K', k / 2),
+        // Strategia "esperienza": K che scende al crescere delle partite giocate
+        scalaPartite: leggiNumero(env, 'RATING_K_SCALE', 30),
+        kMinimo: leggiNumero(env, 'RATING_K_MIN', k / 2),
+        // Variazioni scalate sullo scarto di gol, quando il punteggio è registrato
+        margine: env.RATING_MARGIN === 'true',
+        // Inattività: dopo N giorni senza partite il giocatore esce dalla classifica predefinita;
+        // con RATING_DECAY=true il rating sopra quello iniziale scende ogni settimana di inattività
+        inattivita: {
+            giorni: Math.round(leggiNumero(env, 'RATING_INACTIVE_DAYS', 60)),
+            decadimento: env.RATING_DECAY === 'true',
+            puntiSettimana: leggiNumero(env, 'RATING_DECAY_POINTS', 10),
+            intervalloOre: leggiNumero(env, 'RATING_DECAY_INTERVAL_HOURS', 6)
+        },
+        // Glicko-2
+        glicko: {
+            rdIniziale: leggiNumero(env, 'RATING_GLICKO_RD', 350),
+            volatilitaIniziale: leggiNumero(env, 'RATING_GLICKO_VOLATILITY', 0.06),
+            tau: leggiNumero(env, 'RATING_GLICKO_TAU', 0.5),
+            // Durata di un periodo di rating: per ogni periodo senza partite la RD cresce
+            periodoGiorni: leggiNumero(env, 'RATING_GLICKO_PERIOD_DAYS', 7),
+            // Sopra questa RD il rating è considerato ancora provvisorio
+            sogliaRd: leggiNumero(env, 'RATING_GLICKO_RD_THRESHOLD', 110)
+        },
+        // TrueSkill (scala ELO: beta è la distanza che dà circa il 76% di vittoria in 1 contro 1)
+        trueskill: {
+            sigmaIniziale,
+            beta,
+            tau: leggiNumero(env, 'RATING_TRUESKILL_TAU', sigmaIniziale / 100),
+            sogliaSigma: leggiNumero(env, 'RATING_TRUESKILL_SIGMA_THRESHOLD', sigmaIniziale / 2)
+        }
+    };
+}
+
+module.exports = {
+    SISTEMI,
+    STRATEGIE_K,
+    loadRatingConfig
+};
\ No newline at end of file
@@ -0,0 +1,178 @@
+const { moltiplicatoreMargine } = require('./margine');
+
+/**
+ * Sistema ELO a squadre: ogni squadra gioca con la media ELO dei suoi
+ * giocatori, il fattore K invece dipende dal singolo giocatore.
+ */
+class EloRating {
+    constructor(config) {
+        this.config = config;
+        this.nome = 'elo';
+    }
+
+    /**
+     * Stato di rating di un nuovo giocatore
+     * @returns {Object} stato iniziale
+     */
+    statoIniziale() {
+        return { elo: this.config.iniziale };
+    }
+
+    /**
+     * Probabilità che A batta B
+     * @param {number} eloA - ELO di A
+     * @param {number} eloB - ELO di B
+     * @returns {number} probabilità tra 0 e 1
+     */
+    probabilitaVittoria(eloA, eloB) {
+        return 1 / (1 + Math.pow(10, (eloB - eloA) / this.config.divisore));
+    }
+
+    /**
+     * Nuovo ELO di A dopo una partita contro B
+     * @param {number} eloA - ELO di A
+     * @param {number} eloB - ELO di B
+     * @param {number} risultato - 1 vittoria, 0 sconfitta
+     * @param {number} k - Fattore K
+     * @returns {number} nuovo ELO arrotondato
+     */
+    calcolaELO(eloA, eloB, risultato, k = this.config.k) {
+        const atteso = this.probabilitaVittoria(eloA, eloB);
+        return Math.round(eloA + k * (risultato - atteso));
+    }
+
+    /**
+     * Probabilità che la squadra A batta la squadra B
+     * @param {Array} statiA - Stati dei giocatori di A
+     * @param {Array} statiB - Stati dei giocatori di B
+     * @returns {number} probabilità tra 0 e 1
+     */
+    probabilitaSquadra(statiA, statiB) {
+        const media = stati => stati.reduce((sum, s) => sum + s.elo, 0) / stati.length;
+        return this.probabilitaVittoria(media(statiA), media(statiB));
+    }
+
+    /**
+     * Rating ancora provvisorio: solo con la strategia K "provvisorio"
+     * @param {Object} giocatore - Giocatore con partite giocate
+     * @returns {boolean} true se provvisorio
+     */
+    isProvvisorio(giocatore) {
+        return this.config.strategiaK === 'provvisorio' && giocatore.partite < this.config.partiteProvvisorie;
+    }
+
+    /**
+     * Fattore K del giocatore secondo la strategia configurata
+     * @param {Object} stato - Stato giocatore (elo, partite)
+     * @returns {number} fattore K
+     */
+    fattoreK(stato) {
+        const { k, strategiaK } = this.config;
+        
+        switch (strategiaK) {
+            case 'provvisorio':
+                return stato.partite < this.config.partiteProvvisorie ? this.config.kProvvisorio : k;
+            case 'soglia':
+                return stato.elo >= this.config.sogliaElo ? this.config.kSoglia : k;
+            case 'esperienza':
+                return Math.max(
+                    this.config.kMinimo,
+                    k * this.config.scalaPartite / (this.config.scalaPartite + stato.partite)
+                );
+            default:
+                return k;
+        }
+    }
+
+    /**
+     * Calcola l'esito di una partita senza scrivere nulla
+     * @param {Object} stati - Mappa id giocatore -> stato (elo, partite)
+     * @param {Array} squadra1 - [portiere, attaccante]
+     * @param {Array} squadra2 - [portiere, attaccante]
+     * @param {number} vincitore - 1 o 2
+     * @param {Object|null} punteggio - { gol1, gol2 } per scalare sullo scarto
+     * @returns {Object} delta medi per squadra e risultato per giocatore
+     */
+    calcolaPartita(stati, squadra1, squadra2, vincitore, punteggio = null) {
+        const margine = moltiplicatoreMargine(this.config, punteggio);
+
+        // Calcola ELO medio per squadra
+        const eloSquadra1 = (stati[squadra1[0]].elo + stati[squadra1[1]].elo) / 2;
+        const eloSquadra2 = (stati[squadra2[0]].elo + stati[squadra2[1]].elo) / 2;
+        
+        const squadre = [
+            { giocatori: squadra1, elo: eloSquadra1, eloAvversari: eloSquadra2, vittoria: vincitore === 1 ? 1 : 0 },
+            { giocatori: squadra2, elo: eloSquadra2, eloAvversari: eloSquadra1, vittoria: vincitore === 2 ? 1 : 0 }
+        ];
+        
+        const giocatori = [];
+        const deltaSquadre = [];
+        
+        for (const squadra of squadre) {
+            let deltaTotale = 0;
+            
+            for (const giocatoreId of squadra.giocatori) {
+                const stato = stati[giocatoreId];
+                const k = this.fattoreK(stato) * margine;
+                const delta = this.calcolaELO(squadra.elo, squadra.eloAvversari, squadra.vittoria, k) - squadra.elo;
+                const eloDopo = Math.round(stato.elo + delta);
+                
+                deltaTotale += delta;
+                giocatori.push({
+                    giocatore_id: giocatoreId,
+                    elo_prima: stato.elo,
+                    elo_dopo: eloDopo,
+                    delta: eloDopo - stato.elo,
+                    vittoria: squadra.vittoria,
+                    stato: { elo: eloDopo }
+                });
+            }
+            
+            deltaSquadre.push(deltaTotale / squadra.giocatori.length);
+        }
+        
+        return { deltaElo1: deltaSquadre[0], deltaElo2: deltaSquadre[1], giocatori };
+    }
+
+    /**
+     * Regole del sistema in forma leggibile, per l'endpoint informativo
+     * @returns {Object} parametri e descrizione
+     */
+    descrizione() {
+        const c = this.config;
+        const regoleK = {
+            fisso: `K = ${c.k} per tutti`,
+            provvisorio: `K = ${c.kProvvisorio} nelle prime ${c.partiteProvvisorie} partite, poi K = ${c.k}`,
+            soglia: `K = ${c.k}, ridotto a ${c.kSoglia} da ${c.sogliaElo} ELO in su`,
+            esperienza: `K = ${c.k} × ${c.scalaPartite} / (${c.scalaPartite} + partite giocate), minimo ${c.kMinimo}`
+        };
+        
+        return {
+            sistema: this.nome,
+            elo_iniziale: c.iniziale,
+            k: c.k,
+            divisore: c.divisore,
+            strategia_k: c.strategiaK,
+            scarto_gol: c.margine,
+            parametri_k: {
+                partite_provvisorie: c.partiteProvvisorie,
+                k_provvisorio: c.kProvvisorio,
+                soglia_elo: c.sogliaElo,
+                k_soglia: c.kSoglia,
+                scala_partite: c.scalaPartite,
+                k_minimo: c.kMinimo
+            },
+            regole: [
+                'Ogni squadra gioca con la media ELO dei due giocatori',
+                `Probabilità di vittoria = 1 / (1 + 10^((ELO avversari - ELO squadra) / ${c.divisore}))`,
+                regoleK[c.strategiaK],
+                'Variazione = K × (risultato - probabilità di vittoria)',
+                c.margine
+                    ? 'Con il punteggio registrato la variazione va da ×0.5 (un gol di scarto) a ×1.5 (cappotto, 10 gol di scarto)'
+                    : 'Lo scarto di gol non influisce sulla variazione'
+            ]
+        };
+    }
+}
+
+module.exports = EloRating;
\ No newline at end of file
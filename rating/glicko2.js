@@ -0,0 +1,274 @@
+const { moltiplicatoreMargine } = require('./margine');
+
+// Fattore di conversione tra scala Glicko (1500/350) e scala interna Glicko-2
+const SCALA = 173.7178;
+const EPSILON = 0.000001;
+
+/**
+ * Glicko-2 (Glickman, 2012) adattato al 2 contro 2: ogni partita è un periodo
+ * di rating e ciascun giocatore viene aggiornato contro un avversario composto
+ * dalla squadra avversaria (media dei rating, RD quadratica media). I periodi
+ * passati senza giocare (config.glicko.periodoGiorni) fanno crescere la RD
+ * prima dell'aggiornamento, come previsto dall'algoritmo per chi non gioca.
+ */
+class Glicko2Rating {
+    constructor(config) {
+        this.config = config;
+        this.nome = 'glicko2';
+    }
+
+    /**
+     * Stato di rating di un nuovo giocatore
+     * @returns {Object} stato iniziale
+     */
+    statoIniziale() {
+        return {
+            elo: this.config.iniziale,
+            rd: this.config.glicko.rdIniziale,
+            volatilita: this.config.glicko.volatilitaIniziale
+        };
+    }
+
+    /**
+     * Porta uno stato sulla scala Glicko-2, completando i campi mancanti
+     * @param {Object} stato - Stato giocatore (elo, rd, volatilita)
+     * @returns {Object} mu, phi e sigma
+     */
+    scalaInterna(stato) {
+        const iniziale = this.statoIniziale();
+        return {
+            mu: (stato.elo - this.config.iniziale) / SCALA,
+            phi: (stato.rd ?? iniziale.rd) / SCALA,
+            sigma: stato.volatilita ?? iniziale.volatilita
+        };
+    }
+
+    /**
+     * Stato con la RD cresciuta per i periodi trascorsi dall'ultima partita:
+     * phi² aumenta di sigma² per ogni periodo, senza superare la RD iniziale
+     * @param {Object} stato - Stato giocatore, con ultima_partita se nota
+     * @param {Date|string|null} data - Istante della partita da calcolare
+     * @returns {Object} stato con la RD aggiornata (lo stesso se non è passato nessun periodo)
+     */
+    conInattivita(stato, data) {
+        if (!stato.ultima_partita || !data) return stato;
+        
+        const giorni = (new Date(data) - new Date(stato.ultima_partita)) / (24 * 60 * 60 * 1000);
+        const periodi = Math.floor(giorni / this.config.glicko.periodoGiorni);
+        if (periodi <= 0) return stato;
+        
+        const { phi, sigma } = this.scalaInterna(stato);
+        return {
+            ...stato,
+            rd: Math.min(Math.sqrt(phi * phi + periodi * sigma * sigma) * SCALA, this.config.glicko.rdIniziale)
+        };
+    }
+
+    /**
+     * Peso dell'incertezza dell'avversario
+     * @param {number} phi - RD avversario in scala interna
+     * @returns {number} fattore g
+     */
+    g(phi) {
+        return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+    }
+
+    /**
+     * Punteggio atteso contro un avversario
+     * @param {number} mu - Rating in scala interna
+     * @param {number} muAvversario - Rating avversario in scala interna
+     * @param {number} phiAvversario - RD avversario in scala interna
+     * @returns {number} probabilità di vittoria
+     */
+    atteso(mu, muAvversario, phiAvversario) {
+        return 1 / (1 + Math.exp(-this.g(phiAvversario) * (mu - muAvversario)));
+    }
+
+    /**
+     * Nuova volatilità (passo 5 dell'algoritmo, metodo Illinois)
+     * @param {number} phi - RD in scala interna
+     * @param {number} sigma - Volatilità attuale
+     * @param {number} v - Varianza stimata
+     * @param {number} delta - Miglioramento stimato
+     * @returns {number} nuova volatilità
+     */
+    nuovaVolatilita(phi, sigma, v, delta) {
+        const tau = this.config.glicko.tau;
+        const a = Math.log(sigma * sigma);
+        const f = x => {
+            const ex = Math.exp(x);
+            return ex * (delta * delta - phi * phi - v - ex) / (2 * Math.pow(phi * phi + v + ex, 2)) -
+                (x - a) / (tau * tau);
+        };
+        
+        let A = a;
+        let B;
+        if (delta * delta > phi * phi + v) {
+            B = Math.log(delta * delta - phi * phi - v);
+        } else {
+            let k = 1;
+            while (f(a - k * tau) < 0) k++;
+            B = a - k * tau;
+        }
+        
+        let fA = f(A);
+        let fB = f(B);
+        while (Math.abs(B - A) > EPSILON) {
+            const C = A + (A - B) * fA / (fB - fA);
+            const fC = f(C);
+            if (fC * fB <= 0) {
+                A = B;
+                fA = fB;
+            } else {
+                fA = fA / 2;
+            }
+            B = C;
+            fB = fC;
+        }
+        
+        return Math.exp(A / 2);
+    }
+
+    /**
+     * Aggiorna un giocatore dopo una partita contro un avversario composto
+     * @param {Object} stato - Stato del giocatore
+     * @param {Object} avversario - mu e phi dell'avversario composto
+     * @param {number} risultato - 1 vittoria, 0 sconfitta
+     * @param {number} margine - Moltiplicatore dello spostamento del rating
+     * @returns {Object} nuovo stato (elo, rd, volatilita)
+     */
+    aggiornaGiocatore(stato, avversario, risultato, margine = 1) {
+        const { mu, phi, sigma } = this.scalaInterna(stato);
+        const g = this.g(avversario.phi);
+        const E = this.atteso(mu, avversario.mu, avversario.phi);
+        
+        const v = 1 / (g * g * E * (1 - E));
+        const delta = v * g * (risultato - E);
+        
+        const nuovaSigma = this.nuovaVolatilita(phi, sigma, v, delta);
+        const phiStar = Math.sqrt(phi * phi + nuovaSigma * nuovaSigma);
+        const nuovaPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+        const nuovoMu = mu + margine * nuovaPhi * nuovaPhi * g * (risultato - E);
+        
+        return {
+            elo: Math.round(nuovoMu * SCALA + this.config.iniziale),
+            rd: Math.min(nuovaPhi * SCALA, this.config.glicko.rdIniziale),
+            volatilita: nuovaSigma
+        };
+    }
+
+    /**
+     * Avversario composto da una squadra
+     * @param {Array} stati - Stati dei giocatori della squadra
+     * @returns {Object} mu medio e phi quadratica media
+     */
+    squadraComposta(stati) {
+        const interni = stati.map(s => this.scalaInterna(s));
+        return {
+            mu: interni.reduce((sum, s) => sum + s.mu, 0) / interni.length,
+            phi: Math.sqrt(interni.reduce((sum, s) => sum + s.phi * s.phi, 0) / interni.length)
+        };
+    }
+
+    /**
+     * Probabilità che la squadra A batta la squadra B
+     * @param {Array} statiA - Stati dei giocatori di A
+     * @param {Array} statiB - Stati dei giocatori di B
+     * @param {Date|string} data - Istante della partita, per la RD cresciuta con l'inattività
+     * @returns {number} probabilità tra 0 e 1
+     */
+    probabilitaSquadra(statiA, statiB, data = new Date()) {
+        const a = this.squadraComposta(statiA.map(s => this.conInattivita(s, data)));
+        const b = this.squadraComposta(statiB.map(s => this.conInattivita(s, data)));
+        const phiCombinata = Math.sqrt(a.phi * a.phi + b.phi * b.phi);
+        return this.atteso(a.mu, b.mu, phiCombinata);
+    }
+
+    /**
+     * Rating ancora incerto: RD sopra la soglia configurata
+     * @param {Object} giocatore - Giocatore con rd
+     * @returns {boolean} true se provvisorio
+     */
+    isProvvisorio(giocatore) {
+        return (giocatore.rd ?? this.config.glicko.rdIniziale) > this.config.glicko.sogliaRd;
+    }
+
+    /**
+     * Calcola l'esito di una partita senza scrivere nulla
+     * @param {Object} stati - Mappa id giocatore -> stato (elo, rd, volatilita, ultima_partita)
+     * @param {Array} squadra1 - [portiere, attaccante]
+     * @param {Array} squadra2 - [portiere, attaccante]
+     * @param {number} vincitore - 1 o 2
+     * @param {Object|null} punteggio - { gol1, gol2 } per scalare sullo scarto
+     * @param {Date|string} data - Istante della partita, per la RD cresciuta con l'inattività
+     * @returns {Object} delta medi per squadra e risultato per giocatore
+     */
+    calcolaPartita(stati, squadra1, squadra2, vincitore, punteggio = null, data = new Date()) {
+        const margine = moltiplicatoreMargine(this.config, punteggio);
+        const attuali = {};
+        [...squadra1, ...squadra2].forEach(id => {
+            attuali[id] = this.conInattivita(stati[id], data);
+        });
+        const squadre = [
+            { giocatori: squadra1, avversari: squadra2, vittoria: vincitore === 1 ? 1 : 0 },
+            { giocatori: squadra2, avversari: squadra1, vittoria: vincitore === 2 ? 1 : 0 }
+        ];
+        
+        const giocatori = [];
+        const deltaSquadre = [];
+        
+        for (const squadra of squadre) {
+            const avversario = this.squadraComposta(squadra.avversari.map(id => attuali[id]));
+            let deltaTotale = 0;
+            
+            for (const giocatoreId of squadra.giocatori) {
+                const stato = attuali[giocatoreId];
+                const nuovoStato = this.aggiornaGiocatore(stato, avversario, squadra.vittoria, margine);
+                
+                deltaTotale += nuovoStato.elo - stato.elo;
+                giocatori.push({
+                    giocatore_id: giocatoreId,
+                    elo_prima: stato.elo,
+                    elo_dopo: nuovoStato.elo,
+                    delta: nuovoStato.elo - stato.elo,
+                    vittoria: squadra.vittoria,
+                    stato: nuovoStato
+                });
+            }
+            
+            deltaSquadre.push(deltaTotale / squadra.giocatori.length);
+        }
+        
+        return { deltaElo1: deltaSquadre[0], deltaElo2: deltaSquadre[1], giocatori };
+    }
+
+    /**
+     * Regole del sistema in forma leggibile, per l'endpoint informativo
+     * @returns {Object} parametri e descrizione
+     */
+    descrizione() {
+        const c = this.config;
+        return {
+            sistema: this.nome,
+            elo_iniziale: c.iniziale,
+            rd_iniziale: c.glicko.rdIniziale,
+            volatilita_iniziale: c.glicko.volatilitaIniziale,
+            tau: c.glicko.tau,
+            periodo_giorni: c.glicko.periodoGiorni,
+            soglia_rd_provvisorio: c.glicko.sogliaRd,
+            scarto_gol: c.margine,
+            regole: [
+                'Ogni giocatore ha rating, deviazione (RD) e volatilità',
+                'Ogni partita è un periodo di rating: si gioca contro la squadra avversaria come avversario unico',
+                `Per ogni ${c.glicko.periodoGiorni} giorni senza partite la RD cresce (fino a ${c.glicko.rdIniziale}): chi torna dopo una pausa ha un rating più mobile`,
+                'Più alta è la RD, più il rating si muove: i nuovi giocatori si assestano in fretta',
+                `Con RD oltre ${c.glicko.sogliaRd} il rating è considerato provvisorio`,
+                c.margine
+                    ? 'Con il punteggio registrato lo spostamento va da ×0.5 (un gol di scarto) a ×1.5 (cappotto, 10 gol di scarto)'
+                    : 'Lo scarto di gol non influisce sulla variazione'
+            ]
+        };
+    }
+}
+
+module.exports = Glicko2Rating;
\ No newline at end of file
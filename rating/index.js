@@ -0,0 +1,26 @@
+const { SISTEMI, loadRatingConfig } = require('./config');
+const EloRating = require('./elo');
+const Glicko2Rating = require('./glicko2');
+const TrueSkillRating = require('./trueskill');
+
+/**
+ * Crea il motore di rating configurato
+ * @param {Object} config - Configurazione (default: da variabili d'ambiente)
+ * @returns {EloRating|Glicko2Rating|TrueSkillRating} motore di rating
+ */
+function createRatingEngine(config = loadRatingConfig()) {
+    switch (config.sistema) {
+        case 'glicko2':
+            return new Glicko2Rating(config);
+        case 'trueskill':
+            return new TrueSkillRating(config);
+        default:
+            return new EloRating(config);
+    }
+}
+
+module.exports = {
+    SISTEMI,
+    createRatingEngine,
+    loadRatingConfig
+};
\ No newline at end of file
@@ -0,0 +1,27 @@
+// Gol per vincere una partita: lo scarto massimo, un cappotto, è 10-0
+const GOL_PARTITA = 10;
+
+/**
+ * Moltiplicatore della variazione di rating in base allo scarto di gol.
+ * Cresce in modo lineare con lo scarto da 0.5 (un gol, es. 10-9 o 2-1) a 1.5
+ * (scarto di GOL_PARTITA, il cappotto 10-0); scarti maggiori valgono comunque 1.5.
+ * Vale 1 se la scalatura è disattivata o il punteggio non è noto.
+ * @param {Object} config - Configurazione rating
+ * @param {Object|null} punteggio - { gol1, gol2 } della partita
+ * @returns {number} moltiplicatore
+ */
+function moltiplicatoreMargine(config, punteggio) {
+    if (!config.margine || !punteggio || punteggio.gol1 === null || punteggio.gol2 === null) {
+        return 1;
+    }
+
+    const scarto = Math.abs(punteggio.gol1 - punteggio.gol2);
+    if (scarto === 0) return 1;
+
+    return 0.5 + Math.min(scarto - 1, GOL_PARTITA - 1) / (GOL_PARTITA - 1);
+}
+
+module.exports = {
+    GOL_PARTITA,
+    moltiplicatoreMargine
+};
\ No newline at end of file
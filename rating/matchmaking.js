@@ -0,0 +1,147 @@
+const RUOLI = ['portiere', 'attaccante'];
+
+/**
+ * Stato di rating da usare per un giocatore in un ruolo: quello del ruolo se
+ * lo ha già giocato, altrimenti quello generale
+ * @param {Object} giocatore - Giocatore con stato e ruoli
+ * @param {string} ruolo - portiere o attaccante
+ * @returns {Object} stato di rating
+ */
+function statoInRuolo(giocatore, ruolo) {
+    return giocatore.ruoli[ruolo] || giocatore.stato;
+}
+
+/**
+ * Chiave di una coppia di compagni, indipendente da chi sta in porta
+ * @param {number} a - ID giocatore
+ * @param {number} b - ID giocatore
+ * @returns {string} chiave
+ */
+function chiaveCoppia(a, b) {
+    return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+/**
+ * Tutte le divisioni di 4 giocatori in due squadre [portiere, attaccante]
+ * @param {Array} quattro - Giocatori
+ * @returns {Array} coppie [squadra1, squadra2] (12 combinazioni)
+ */
+function divisioniPossibili(quattro) {
+    const [primo, ...altri] = quattro;
+    const divisioni = [];
+
+    for (const compagno of altri) {
+        const squadraA = [primo, compagno];
+        const squadraB = altri.filter(g => g !== compagno);
+        
+        for (const squadra1 of [squadraA, [...squadraA].reverse()]) {
+            for (const squadra2 of [squadraB, [...squadraB].reverse()]) {
+                divisioni.push([squadra1, squadra2]);
+            }
+        }
+    }
+
+    return divisioni;
+}
+
+/**
+ * Divisione più equa di 4 giocatori. In ordine di priorità: meno giocatori
+ * fuori dal proprio ruolo, meno coppie da evitare, probabilità più vicina al 50%
+ * @param {Array} quattro - Giocatori
+ * @param {Object} rating - Motore di rating
+ * @param {Object} opzioni - rispettaRuoli, coppieDaEvitare (Set di chiavi)
+ * @returns {Object} divisione scelta con i suoi punteggi
+ */
+function migliorDivisione(quattro, rating, { rispettaRuoli, coppieDaEvitare }) {
+    const valutate = divisioniPossibili(quattro).map(([squadra1, squadra2]) => {
+        const probabilita1 = rating.probabilitaSquadra(
+            squadra1.map((g, indice) => statoInRuolo(g, RUOLI[indice])),
+            squadra2.map((g, indice) => statoInRuolo(g, RUOLI[indice]))
+        );
+        const fuoriRuolo = [squadra1, squadra2]
+            .reduce((count, squadra) => count + squadra.filter((g, indice) => g.ruolo !== RUOLI[indice]).length, 0);
+        const coppieRipetute = [squadra1, squadra2]
+            .filter(squadra => coppieDaEvitare.has(chiaveCoppia(squadra[0].id, squadra[1].id))).length;
+        
+        return {
+            squadra1,
+            squadra2,
+            probabilita1,
+            fuoriRuolo: rispettaRuoli ? fuoriRuolo : 0,
+            coppieRipetute,
+            scarto: Math.abs(probabilita1 - 0.5)
+        };
+    });
+
+    return valutate.sort((a, b) =>
+        a.fuoriRuolo - b.fuoriRuolo || a.coppieRipetute - b.coppieRipetute || a.scarto - b.scarto
+    )[0];
+}
+
+/**
+ * Propone una o più partite con i giocatori presenti: a ogni turno giocano
+ * quelli con meno partite nella rotazione (a parità, chi riposa da più tempo)
+ * @param {Array} giocatori - Giocatori presenti ({ id, nome, ruolo, stato, ruoli })
+ * @param {Object} rating - Motore di rating
+ * @param {Object} opzioni - partite, rispettaRuoli, evitaRipetizioni, coppieUltimaPartita
+ * @returns {Object} partite proposte e presenze per giocatore
+ */
+function proponiRotazione(giocatori, rating, { partite, rispettaRuoli, evitaRipetizioni, coppieUltimaPartita }) {
+    const giocate = new Map(giocatori.map(g => [g.id, 0]));
+    const ultimoTurno = new Map(giocatori.map(g => [g.id, -1]));
+    const coppieDaEvitare = new Set(evitaRipetizioni ? coppieUltimaPartita : []);
+    const proposte = [];
+
+    for (let turno = 0; turno < partite; turno++) {
+        const quattro = [...giocatori]
+            .sort((a, b) =>
+                giocate.get(a.id) - giocate.get(b.id) ||
+                ultimoTurno.get(a.id) - ultimoTurno.get(b.id) ||
+                giocatori.indexOf(a) - giocatori.indexOf(b))
+            .slice(0, 4);
+        
+        const scelta = migliorDivisione(quattro, rating, { rispettaRuoli, coppieDaEvitare });
+        
+        [...scelta.squadra1, ...scelta.squadra2].forEach(g => {
+            giocate.set(g.id, giocate.get(g.id) + 1);
+            ultimoTurno.set(g.id, turno);
+        });
+        
+        // Nella stessa rotazione si evita anche di rifare le coppie appena proposte
+        if (evitaRipetizioni) {
+            [scelta.squadra1, scelta.squadra2].forEach(squadra => {
+                coppieDaEvitare.add(chiaveCoppia(squadra[0].id, squadra[1].id));
+            });
+        }
+        
+        const dettagli = squadra => squadra.map((g, indice) => ({
+            giocatore_id: g.id,
+            nome: g.nome,
+            ruolo: RUOLI[indice],
+            fuori_ruolo: g.ruolo !== RUOLI[indice],
+            elo: statoInRuolo(g, RUOLI[indice]).elo
+        }));
+        
+        proposte.push({
+            turno: turno + 1,
+            squadra1: scelta.squadra1.map(g => g.id),
+            squadra2: scelta.squadra2.map(g => g.id),
+            giocatori_squadra1: dettagli(scelta.squadra1),
+            giocatori_squadra2: dettagli(scelta.squadra2),
+            probabilita_squadra1: Math.round(scelta.probabilita1 * 1000) / 10,
+            coppie_ripetute: scelta.coppieRipetute,
+            riposano: giocatori.filter(g => !quattro.includes(g)).map(g => g.id)
+        });
+    }
+
+    return {
+        partite: proposte,
+        presenze: giocatori.map(g => ({ giocatore_id: g.id, nome: g.nome, partite: giocate.get(g.id) }))
+    };
+}
+
+module.exports = {
+    chiaveCoppia,
+    migliorDivisione,
+    proponiRotazione
+};
\ No newline at end of file
@@ -0,0 +1,191 @@
+const { moltiplicatoreMargine } = require('./margine');
+
+/**
+ * Densità della normale standard
+ * @param {number} x - Valore
+ * @returns {number} densità
+ */
+function densita(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Funzione di ripartizione della normale standard (approssimazione di erfc)
+ * @param {number} x - Valore
+ * @returns {number} probabilità cumulata
+ */
+function ripartizione(x) {
+    const z = Math.abs(x) / Math.SQRT2;
+    const t = 1 / (1 + z / 2);
+    const erfc = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+/**
+ * TrueSkill (Herbrich et al., 2006) per due squadre senza pareggio: la
+ * prestazione di squadra è la somma dei giocatori e ognuno viene aggiornato in
+ * proporzione alla propria incertezza (sigma), non con un delta uguale per tutti.
+ * Il rating mostrato in classifica è mu, sulla stessa scala dell'ELO.
+ */
+class TrueSkillRating {
+    constructor(config) {
+        this.config = config;
+        this.nome = 'trueskill';
+    }
+
+    /**
+     * Stato di rating di un nuovo giocatore
+     * @returns {Object} stato iniziale
+     */
+    statoIniziale() {
+        return {
+            elo: this.config.iniziale,
+            mu: this.config.iniziale,
+            sigma: this.config.trueskill.sigmaIniziale
+        };
+    }
+
+    /**
+     * Completa uno stato letto dal database (colonne mu/sigma non ancora valorizzate)
+     * @param {Object} stato - Stato giocatore
+     * @returns {Object} mu e sigma
+     */
+    normalizza(stato) {
+        return {
+            mu: stato.mu ?? stato.elo,
+            sigma: stato.sigma ?? this.config.trueskill.sigmaIniziale
+        };
+    }
+
+    /**
+     * Deviazione complessiva delle prestazioni in una partita
+     * @param {Array} stati - Stati normalizzati di tutti i giocatori
+     * @returns {number} c
+     */
+    deviazionePartita(stati) {
+        const beta = this.config.trueskill.beta;
+        return Math.sqrt(stati.reduce((sum, s) => sum + s.sigma * s.sigma + beta * beta, 0));
+    }
+
+    /**
+     * Probabilità che la squadra A batta la squadra B
+     * @param {Array} statiA - Stati dei giocatori di A
+     * @param {Array} statiB - Stati dei giocatori di B
+     * @returns {number} probabilità tra 0 e 1
+     */
+    probabilitaSquadra(statiA, statiB) {
+        const a = statiA.map(s => this.normalizza(s));
+        const b = statiB.map(s => this.normalizza(s));
+        const differenza = a.reduce((sum, s) => sum + s.mu, 0) - b.reduce((sum, s) => sum + s.mu, 0);
+        return ripartizione(differenza / this.deviazionePartita([...a, ...b]));
+    }
+
+    /**
+     * Rating ancora incerto: sigma sopra la soglia configurata
+     * @param {Object} giocatore - Giocatore con sigma
+     * @returns {boolean} true se provvisorio
+     */
+    isProvvisorio(giocatore) {
+        return this.normalizza(giocatore).sigma > this.config.trueskill.sogliaSigma;
+    }
+
+    /**
+     * Calcola l'esito di una partita senza scrivere nulla
+     * @param {Object} stati - Mappa id giocatore -> stato (elo, mu, sigma)
+     * @param {Array} squadra1 - [portiere, attaccante]
+     * @param {Array} squadra2 - [portiere, attaccante]
+     * @param {number} vincitore - 1 o 2
+     * @param {Object|null} punteggio - { gol1, gol2 } per scalare sullo scarto
+     * @returns {Object} delta medi per squadra e risultato per giocatore
+     */
+    calcolaPartita(stati, squadra1, squadra2, vincitore, punteggio = null) {
+        const tau = this.config.trueskill.tau;
+        const margine = moltiplicatoreMargine(this.config, punteggio);
+        
+        // Dinamica: un po' di incertezza in più prima di ogni partita
+        const normalizzati = {};
+        [...squadra1, ...squadra2].forEach(id => {
+            const { mu, sigma } = this.normalizza(stati[id]);
+            normalizzati[id] = { mu, sigma: Math.sqrt(sigma * sigma + tau * tau) };
+        });
+        
+        const vincenti = vincitore === 1 ? squadra1 : squadra2;
+        const perdenti = vincitore === 1 ? squadra2 : squadra1;
+        
+        const c = this.deviazionePartita(Object.values(normalizzati));
+        const somma = ids => ids.reduce((sum, id) => sum + normalizzati[id].mu, 0);
+        const t = (somma(vincenti) - somma(perdenti)) / c;
+        
+        // v e w della gaussiana troncata (nessun margine di pareggio)
+        const phi = ripartizione(t);
+        const v = phi > 1e-12 ? densita(t) / phi : -t;
+        const w = v * (v + t);
+        
+        const squadre = [
+            { giocatori: squadra1, vittoria: vincitore === 1 ? 1 : 0 },
+            { giocatori: squadra2, vittoria: vincitore === 2 ? 1 : 0 }
+        ];
+        
+        const giocatori = [];
+        const deltaSquadre = [];
+        
+        for (const squadra of squadre) {
+            const segno = squadra.vittoria ? 1 : -1;
+            let deltaTotale = 0;
+            
+            for (const giocatoreId of squadra.giocatori) {
+                const { mu, sigma } = normalizzati[giocatoreId];
+                const varianza = sigma * sigma;
+                const nuovoMu = mu + margine * segno * varianza / c * v;
+                const nuovaSigma = Math.sqrt(varianza * Math.max(1 - varianza / (c * c) * w, 0.0001));
+                const eloPrima = stati[giocatoreId].elo;
+                const eloDopo = Math.round(nuovoMu);
+                
+                deltaTotale += eloDopo - eloPrima;
+                giocatori.push({
+                    giocatore_id: giocatoreId,
+                    elo_prima: eloPrima,
+                    elo_dopo: eloDopo,
+                    delta: eloDopo - eloPrima,
+                    vittoria: squadra.vittoria,
+                    stato: { elo: eloDopo, mu: nuovoMu, sigma: nuovaSigma }
+                });
+            }
+            
+            deltaSquadre.push(deltaTotale / squadra.giocatori.length);
+        }
+        
+        return { deltaElo1: deltaSquadre[0], deltaElo2: deltaSquadre[1], giocatori };
+    }
+
+    /**
+     * Regole del sistema in forma leggibile, per l'endpoint informativo
+     * @returns {Object} parametri e descrizione
+     */
+    descrizione() {
+        const c = this.config;
+        return {
+            sistema: this.nome,
+            elo_iniziale: c.iniziale,
+            sigma_iniziale: c.trueskill.sigmaIniziale,
+            beta: c.trueskill.beta,
+            tau: c.trueskill.tau,
+            soglia_sigma_provvisorio: c.trueskill.sogliaSigma,
+            scarto_gol: c.margine,
+            regole: [
+                'Ogni giocatore ha un rating medio (mu) e un\'incertezza (sigma)',
+                'La forza di una squadra è la somma dei rating dei due giocatori',
+                'Ogni giocatore si muove in proporzione alla propria incertezza: chi è già stabile cambia meno del compagno nuovo',
+                'Una vittoria inattesa sposta i rating più di una vittoria prevista',
+                `Con sigma oltre ${c.trueskill.sogliaSigma} il rating è considerato provvisorio`,
+                c.margine
+                    ? 'Con il punteggio registrato lo spostamento di mu va da ×0.5 (un gol di scarto) a ×1.5 (cappotto, 10 gol di scarto)'
+                    : 'Lo scarto di gol non influisce sulla variazione'
+            ]
+        };
+    }
+}
+
+module.exports = TrueSkillRating;
\ No newline at end of file
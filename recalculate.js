@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const Database = require('./database/database');
+
+// Uso: node recalculate.js [--dry-run] [--sistema=elo|glicko2|trueskill]
+const dryRun = process.argv.includes('--dry-run');
+const argSistema = process.argv.find(arg => arg.startsWith('--sistema='));
+const sistema = argSistema ? argSistema.split('=')[1] : null;
+
+console.log('🏆 Scalcetting Tracker - Ricalcolo ELO');
+console.log('======================================\n');
+
+async function main() {
+    const db = new Database();
+
+    try {
+        await db.connect();
+        await db.createTables();
+        
+        console.log(dryRun
+            ? '🔍 Verifica ELO dallo storico partite (nessuna modifica verrà salvata)...\n'
+            : '🔄 Ricalcolo ELO dallo storico partite...\n');
+        
+        const risultato = await db.recalculateAll({ dryRun, sistema });
+        
+        console.log(`✅ Sistema di rating: ${risultato.sistema}`);
+        console.log(`✅ Partite rigiocate: ${risultato.partite_rigiocate}`);
+        console.log(`✅ Giocatori ricalcolati: ${risultato.giocatori_aggiornati}`);
+        console.log(`📈 Previsioni corrette: ${risultato.previsioni.previsioni_corrette}/${risultato.previsioni.partite_valutate} ` +
+            `(${risultato.previsioni.accuratezza}%), Brier ${risultato.previsioni.brier}`);
+        
+        if (risultato.differenze.length === 0) {
+            console.log('\n🎉 Tutti i valori salvati sono coerenti con lo storico!');
+        } else {
+            console.log(`\n⚠️  Giocatori con valori diversi: ${risultato.differenze.length}`);
+            risultato.differenze.forEach(d => {
+                console.log(`• ${d.nome}: ELO ${d.elo_prima} → ${d.elo_dopo}, ` +
+                    `partite ${d.partite_prima} → ${d.partite_dopo}, ` +
+                    `vittorie ${d.vittorie_prima} → ${d.vittorie_dopo}, ` +
+                    `sconfitte ${d.sconfitte_prima} → ${d.sconfitte_dopo}`);
+            });
+            
+            if (dryRun) {
+                console.log('\nEsegui di nuovo senza --dry-run per salvare i valori ricalcolati.');
+            }
+        }
+
+    } catch (error) {
+        console.error('❌ Errore durante il ricalcolo:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
\ No newline at end of file
@@ -1,7 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { validateInput, sanitizeString, validateId } = require('../utils/validation');
+const {
+    validateInput,
+    sanitizeString,
+    validateId,
+    validateDate,
+    validateDateRange,
+    validateQuery
+} = require('../utils/validation');
+const { SISTEMI } = require('../rating');
+const { FORMATI } = require('../tornei');
 
 // Middleware per logging delle richieste API
 router.use((req, res, next) => {
@@ -13,30 +22,1415 @@ router.use((req, res, next) => {
     next();
 });
 
-// GET /api/giocatori - Recupera tutti i giocatori
+// Middleware per le operazioni amministrative: richiede l'header X-Admin-Token
+// se ADMIN_TOKEN è configurato, altrimenti le consente solo fuori produzione
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    if (adminToken ? req.get('X-Admin-Token') === adminToken : process.env.NODE_ENV !== 'production') {
+        return next();
+    }
+
+    logger.warn(`Accesso admin negato: ${req.method} ${req.path}`, { ip: req.ip });
+
+    res.status(403).json({
+        error: 'Operazione non consentita',
+        message: 'Token amministratore mancante o non valido'
+    });
+}
+
+// Validazione condivisa da creazione e modifica partita:
+// restituisce l'errore da inviare al client, oppure null se i dati sono validi
+function validaPartita(body) {
+    const { squadra1, squadra2, vincitore } = body;
+
+    // Validazione input
+    if (!validateInput(body, ['squadra1', 'squadra2', 'vincitore'])) {
+        return {
+            error: 'Dati mancanti',
+            message: 'Squadra1, squadra2 e vincitore sono obbligatori'
+        };
+    }
+
+    // Validazione struttura squadre
+    if (!Array.isArray(squadra1) || squadra1.length !== 2 || 
+        !Array.isArray(squadra2) || squadra2.length !== 2) {
+        return {
+            error: 'Formato squadre non valido',
+            message: 'Ogni squadra deve avere esattamente 2 giocatori'
+        };
+    }
+
+    // Validazione vincitore
+    if (![1, 2].includes(parseInt(vincitore))) {
+        return {
+            error: 'Vincitore non valido',
+            message: 'Il vincitore deve essere 1 o 2'
+        };
+    }
+
+    // Validazione IDs giocatori
+    const tuttiGiocatori = [...squadra1, ...squadra2];
+    for (const id of tuttiGiocatori) {
+        if (!validateId(id)) {
+            return {
+                error: 'ID giocatore non valido',
+                message: `ID ${id} non è valido`
+            };
+        }
+    }
+
+    // Controllo giocatori duplicati (sugli ID numerici: "3" e 3 sono lo stesso giocatore)
+    if (new Set(tuttiGiocatori.map(id => parseInt(id))).size !== 4) {
+        return {
+            error: 'Giocatori duplicati',
+            message: 'Ogni giocatore può essere selezionato solo una volta'
+        };
+    }
+
+    // Validazione punteggio (facoltativo, ma se c'è servono i gol di entrambe le squadre)
+    const punteggio = leggiPunteggio(body);
+    if (punteggio === false) {
+        return {
+            error: 'Punteggio non valido',
+            message: 'I gol devono essere numeri interi tra 0 e 99 per entrambe le squadre'
+        };
+    }
+
+    if (punteggio && punteggio.gol1 === punteggio.gol2) {
+        return {
+            error: 'Punteggio non valido',
+            message: 'Una partita non può finire in pareggio'
+        };
+    }
+
+    if (punteggio && (punteggio.gol1 > punteggio.gol2 ? 1 : 2) !== parseInt(vincitore)) {
+        return {
+            error: 'Punteggio non valido',
+            message: 'Il punteggio non corrisponde al vincitore'
+        };
+    }
+
+    return null;
+}
+
+// Punteggio dal body: { gol1, gol2 }, null se non indicato, false se non valido
+function leggiPunteggio(body) {
+    const { gol_squadra1, gol_squadra2 } = body;
+    const assente = valore => valore === undefined || valore === null || valore === '';
+
+    if (assente(gol_squadra1) && assente(gol_squadra2)) {
+        return null;
+    }
+
+    const gol = [gol_squadra1, gol_squadra2].map(Number);
+    if (assente(gol_squadra1) || assente(gol_squadra2) ||
+        !gol.every(g => Number.isInteger(g) && g >= 0 && g <= 99)) {
+        return false;
+    }
+
+    return { gol1: gol[0], gol2: gol[1] };
+}
+
+// Squadre già validate con ID numerici: chi confronta gli ID (rating per ruolo,
+// coppie, scontri diretti) non deve vedere stringhe inviate dal client
+function leggiSquadre(body) {
+    return {
+        squadra1: body.squadra1.map(id => parseInt(id)),
+        squadra2: body.squadra2.map(id => parseInt(id))
+    };
+}
+
+// Stagione indicata con ?stagione=ID|corrente: { stagione } (null se non indicata),
+// oppure null dopo aver già risposto con l'errore
+async function leggiStagione(req, res) {
+    const { stagione } = req.query;
+
+    if (stagione === undefined || stagione === '') {
+        return { stagione: null };
+    }
+
+    if (stagione !== 'corrente' && !validateId(stagione)) {
+        res.status(400).json({
+            error: 'Stagione non valida',
+            message: 'La stagione deve essere un ID o "corrente"'
+        });
+        return null;
+    }
+
+    try {
+        return { stagione: await req.db.getStagione(stagione === 'corrente' ? stagione : parseInt(stagione)) };
+    } catch (error) {
+        if (error.message !== 'Stagione non trovata') throw error;
+        
+        res.status(404).json({
+            error: 'Stagione non trovata',
+            message: `Nessuna stagione con ID ${stagione}`
+        });
+        return null;
+    }
+}
+
+// GET /api/giocatori - Recupera tutti i giocatori (?provvisori=false nasconde i rating provvisori,
+// ?ruolo=portiere|attaccante restituisce la classifica per rating di quel ruolo,
+// ?attivi=true esclude chi non gioca da più dei giorni di inattività configurati,
+// ?archiviati=true include i giocatori archiviati, ?search= cerca nel nome,
+// ?orderBy=nome|elo|partite|vittorie|data&orderDir=ASC|DESC ordina).
+// Con ?limit=&offset= restituisce una pagina { totale, limit, offset, giocatori }; il totale è sempre
+// nell'header X-Total-Count.
 router.get('/giocatori', async (req, res) => {
     try {
-        const giocatori = await req.db.getGiocatori();
-        res.json(giocatori);
+        const ruolo = req.query.ruolo || null;
+        
+        if (ruolo && !['portiere', 'attaccante'].includes(ruolo)) {
+            return res.status(400).json({
+                error: 'Ruolo non valido',
+                message: 'Il ruolo deve essere "portiere" o "attaccante"'
+            });
+        }
+        
+        const { limit, offset = 0, orderBy, orderDir, search } = validateQuery(req.query);
+        const paginata = req.query.limit !== undefined || req.query.offset !== undefined;
+        
+        const giocatori = await req.db.getGiocatori({
+            nascondiProvvisori: req.query.provvisori === 'false',
+            ruolo,
+            soloAttivi: req.query.attivi === 'true',
+            includiArchiviati: req.query.archiviati === 'true',
+            cerca: search || null,
+            ordinaPer: orderBy || null,
+            direzione: orderDir
+        });
+        
+        res.set('X-Total-Count', String(giocatori.length));
+        if (!paginata) {
+            return res.json(giocatori);
+        }
+        
+        res.json({
+            totale: giocatori.length,
+            limit: limit || 20,
+            offset,
+            giocatori: giocatori.slice(offset, offset + (limit || 20))
+        });
+    } catch (error) {
+        logger.error('Errore API /giocatori:', error);
+        res.status(500).json({
+            error: 'Errore recupero giocatori',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/giocatori - Crea nuovo giocatore
+router.post('/giocatori', async (req, res) => {
+    try {
+        const { nome, ruolo } = req.body;
+        
+        // Validazione input
+        if (!validateInput(req.body, ['nome', 'ruolo'])) {
+            return res.status(400).json({
+                error: 'Dati mancanti',
+                message: 'Nome e ruolo sono obbligatori'
+            });
+        }
+        
+        const nomeSanitized = sanitizeString(nome);
+        
+        if (nomeSanitized.length < 2) {
+            return res.status(400).json({
+                error: 'Nome troppo corto',
+                message: 'Il nome deve essere di almeno 2 caratteri'
+            });
+        }
+        
+        if (!['portiere', 'attaccante'].includes(ruolo)) {
+            return res.status(400).json({
+                error: 'Ruolo non valido',
+                message: 'Il ruolo deve essere "portiere" o "attaccante"'
+            });
+        }
+        
+        const giocatore = await req.db.createGiocatore(nomeSanitized, ruolo);
+        
+        logger.info(`Giocatore creato: ${giocatore.nome} (${giocatore.ruolo})`);
+        
+        res.status(201).json({
+            ...giocatore,
+            message: 'Giocatore creato con successo'
+        });
+        
+    } catch (error) {
+        logger.error('Errore API POST /giocatori:', error);
+        
+        if (error.message === 'Giocatore già esistente') {
+            return res.status(409).json({
+                error: 'Giocatore già esistente',
+                message: 'Esiste già un giocatore con questo nome'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore creazione giocatore',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/giocatori/:id - Rinomina e/o cambia ruolo { nome, ruolo } (almeno uno dei due)
+router.put('/giocatori/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { nome, ruolo } = req.body;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        if ((nome === undefined || nome === null) && (ruolo === undefined || ruolo === null)) {
+            return res.status(400).json({
+                error: 'Dati mancanti',
+                message: 'Indicare il nuovo nome o il nuovo ruolo'
+            });
+        }
+        
+        if (nome !== undefined && nome !== null && typeof nome !== 'string') {
+            return res.status(400).json({
+                error: 'Nome non valido',
+                message: 'Il nome deve essere una stringa'
+            });
+        }
+        
+        const nomeSanitized = typeof nome === 'string' ? sanitizeString(nome) : null;
+        
+        if (nomeSanitized !== null && nomeSanitized.length < 2) {
+            return res.status(400).json({
+                error: 'Nome troppo corto',
+                message: 'Il nome deve essere di almeno 2 caratteri'
+            });
+        }
+        
+        if (ruolo !== undefined && ruolo !== null && !['portiere', 'attaccante'].includes(ruolo)) {
+            return res.status(400).json({
+                error: 'Ruolo non valido',
+                message: 'Il ruolo deve essere "portiere" o "attaccante"'
+            });
+        }
+        
+        const giocatore = await req.db.updateGiocatore(parseInt(id), { nome: nomeSanitized, ruolo: ruolo || null });
+        
+        res.json({
+            ...giocatore,
+            message: 'Giocatore aggiornato con successo'
+        });
+    } catch (error) {
+        logger.error('Errore API PUT /giocatori/:id:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: `Nessun giocatore con ID ${req.params.id}`
+            });
+        }
+        
+        if (error.message === 'Giocatore già esistente') {
+            return res.status(409).json({
+                error: 'Giocatore già esistente',
+                message: 'Esiste già un giocatore con questo nome'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore aggiornamento giocatore',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/giocatori/:id - Archivia il giocatore (partite e storico restano)
+router.delete('/giocatori/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        const giocatore = await req.db.archiviaGiocatore(parseInt(id));
+        
+        res.json({
+            ...giocatore,
+            message: 'Giocatore archiviato con successo'
+        });
+    } catch (error) {
+        logger.error('Errore API DELETE /giocatori/:id:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: `Nessun giocatore con ID ${req.params.id}`
+            });
+        }
+        
+        if (error.message === 'Giocatore già archiviato') {
+            return res.status(409).json({
+                error: 'Giocatore già archiviato',
+                message: 'Il giocatore è già archiviato'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore archiviazione giocatore',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/giocatori/:id/riattiva - Riporta in classifica un giocatore archiviato
+router.post('/giocatori/:id/riattiva', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        const giocatore = await req.db.riattivaGiocatore(parseInt(id));
+        
+        res.json({
+            ...giocatore,
+            message: 'Giocatore riattivato con successo'
+        });
+    } catch (error) {
+        logger.error('Errore API POST /giocatori/:id/riattiva:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: `Nessun giocatore con ID ${req.params.id}`
+            });
+        }
+        
+        if (error.message === 'Giocatore non archiviato') {
+            return res.status(409).json({
+                error: 'Giocatore non archiviato',
+                message: 'Il giocatore è già attivo'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore riattivazione giocatore',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/giocatori/:id/merge - (admin) Unisce un doppione { duplicato_id } nel giocatore :id,
+// spostando le sue partite, eliminandolo e rigiocando lo storico
+router.post('/giocatori/:id/merge', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { duplicato_id } = req.body;
+        
+        if (!validateId(id) || !validateId(duplicato_id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: 'Indicare l\'ID del giocatore canonico nel percorso e duplicato_id nel body'
+            });
+        }
+        
+        if (parseInt(id) === parseInt(duplicato_id)) {
+            return res.status(400).json({
+                error: 'Unione non valida',
+                message: 'Il doppione deve essere un giocatore diverso'
+            });
+        }
+        
+        const risultato = await req.db.unisciGiocatori(parseInt(id), parseInt(duplicato_id));
+        
+        res.json({
+            ...risultato,
+            message: 'Giocatori uniti con successo'
+        });
+    } catch (error) {
+        logger.error('Errore API /giocatori/:id/merge:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: 'Uno o entrambi i giocatori non esistono'
+            });
+        }
+        
+        if (error.message === 'Giocatori nella stessa partita') {
+            return res.status(409).json({
+                error: 'Unione non possibile',
+                message: 'I due account compaiono nella stessa partita'
+            });
+        }
+        
+        if (error.message === 'Giocatori nello stesso torneo') {
+            return res.status(409).json({
+                error: 'Unione non possibile',
+                message: 'I due account sono iscritti allo stesso torneo'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Errore unione giocatori',
+            message: error.message
+        });
+    }
+});
+
+// Istante da query string: una data senza ora (AAAA-MM-GG) vale fino alla fine di quel giorno;
+// undefined se il parametro manca, null se non è valido
+function leggiIstante(valore) {
+    if (valore === undefined || valore === '') return undefined;
+    if (typeof valore !== 'string' || !validateDate(valore)) return null;
+
+    return /^\d{4}-\d{2}-\d{2}$/.test(valore) ? new Date(`${valore}T23:59:59.999`) : new Date(valore);
+}
+
+// GET /api/classifica - Classifica com'era a una data (?at=AAAA-MM-GG, default adesso)
+// o movimenti tra due date (?da=AAAA-MM-GG&a=AAAA-MM-GG, a default adesso)
+router.get('/classifica', async (req, res) => {
+    try {
+        const at = leggiIstante(req.query.at);
+        const da = leggiIstante(req.query.da);
+        const a = leggiIstante(req.query.a);
+        
+        if (at === null || da === null || a === null) {
+            return res.status(400).json({
+                error: 'Data non valida',
+                message: 'Le date devono essere nel formato AAAA-MM-GG o ISO 8601'
+            });
+        }
+        
+        if (da === undefined) {
+            if (a !== undefined) {
+                return res.status(400).json({
+                    error: 'Parametri non validi',
+                    message: 'Per il confronto servono da e a; per una sola data usare at'
+                });
+            }
+            
+            const istante = at || new Date();
+            return res.json({ at: istante, classifica: await req.db.getClassificaAl(istante) });
+        }
+        
+        const fine = a || new Date();
+        if (at !== undefined || da > fine) {
+            return res.status(400).json({
+                error: 'Parametri non validi',
+                message: 'Il confronto richiede da precedente ad a, senza at'
+            });
+        }
+        
+        res.json(await req.db.getMovimentiClassifica(da, fine));
+    } catch (error) {
+        logger.error('Errore API /classifica:', error);
+        res.status(500).json({
+            error: 'Errore ricostruzione classifica',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/giocatori/:id - Profilo del giocatore: record ELO, serie, forma, ruoli, compagni e avversari
+router.get('/giocatori/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        res.json(await req.db.getProfiloGiocatore(parseInt(id)));
+    } catch (error) {
+        logger.error('Errore API /giocatori/:id:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: `Nessun giocatore con ID ${req.params.id}`
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore recupero profilo giocatore',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/giocatori/:id/elo - Andamento ELO di un giocatore: partite, decadimenti e chiusure di stagione
+router.get('/giocatori/:id/elo', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        const storico = await req.db.getStoricoElo(parseInt(id));
+        res.json(storico);
+    } catch (error) {
+        logger.error('Errore API /giocatori/:id/elo:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: `Nessun giocatore con ID ${req.params.id}`
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore recupero storico ELO',
+            message: error.message
+        });
+    }
+});
+
+// ?min_partite=N: intero positivo, altrimenti il valore predefinito; null se non valido
+function leggiMinPartite(query, predefinito) {
+    if (query.min_partite === undefined || query.min_partite === '') return predefinito;
+
+    const valore = Number(query.min_partite);
+    return Number.isInteger(valore) && valore >= 1 && valore <= 1000 ? valore : null;
+}
+
+// GET /api/giocatori/:id/partner - Compagni del giocatore con miglior e peggior partner
+// (?min_partite=N partite insieme per essere considerati, default 3; ?stagione=ID|corrente)
+router.get('/giocatori/:id/partner', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        const minPartite = leggiMinPartite(req.query, 3);
+        if (minPartite === null) {
+            return res.status(400).json({
+                error: 'Minimo partite non valido',
+                message: 'min_partite deve essere un intero tra 1 e 1000'
+            });
+        }
+        
+        const richiesta = await leggiStagione(req, res);
+        if (!richiesta) return;
+        
+        res.json(await req.db.getPartnerGiocatore(parseInt(id), { stagione: richiesta.stagione, minPartite }));
+    } catch (error) {
+        logger.error('Errore API /giocatori/:id/partner:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: `Nessun giocatore con ID ${req.params.id}`
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore recupero partner',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/coppie - Statistiche di ogni coppia di compagni (?min_partite=N, ?stagione=ID|corrente)
+router.get('/coppie', async (req, res) => {
+    try {
+        const minPartite = leggiMinPartite(req.query, 1);
+        if (minPartite === null) {
+            return res.status(400).json({
+                error: 'Minimo partite non valido',
+                message: 'min_partite deve essere un intero tra 1 e 1000'
+            });
+        }
+        
+        const richiesta = await leggiStagione(req, res);
+        if (!richiesta) return;
+        
+        res.json(await req.db.getStatisticheCoppie({ stagione: richiesta.stagione, minPartite }));
+    } catch (error) {
+        logger.error('Errore API /coppie:', error);
+        res.status(500).json({
+            error: 'Errore recupero coppie',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/giocatori/:id/rivali - Avversari del giocatore con nemesi e vittima preferita (?stagione=ID|corrente)
+router.get('/giocatori/:id/rivali', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        const richiesta = await leggiStagione(req, res);
+        if (!richiesta) return;
+        
+        res.json(await req.db.getRivaliGiocatore(parseInt(id), { stagione: richiesta.stagione }));
+    } catch (error) {
+        logger.error('Errore API /giocatori/:id/rivali:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: `Nessun giocatore con ID ${req.params.id}`
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore recupero avversari',
+            message: error.message
+        });
+    }
+});
+
+// Lato di uno scontro diretto: un ID giocatore o due ID separati da virgola (coppia); null se non valido
+function leggiLatoScontro(valore) {
+    if (typeof valore !== 'string' || valore === '') return null;
+
+    const ids = valore.split(',').map(id => id.trim());
+    if (ids.length > 2 || !ids.every(id => validateId(id))) return null;
+
+    const lato = ids.map(id => parseInt(id));
+    return lato.length === 2 && lato[0] === lato[1] ? null : lato;
+}
+
+// GET /api/h2h?a=ID&b=ID - Scontri diretti tra due giocatori, o tra due coppie con a=ID,ID&b=ID,ID
+// (?stagione=ID|corrente)
+router.get('/h2h', async (req, res) => {
+    try {
+        const latoA = leggiLatoScontro(req.query.a);
+        const latoB = leggiLatoScontro(req.query.b);
+        
+        if (!latoA || !latoB) {
+            return res.status(400).json({
+                error: 'Parametri non validi',
+                message: 'a e b devono essere un ID giocatore o due ID separati da virgola'
+            });
+        }
+        
+        if (latoA.length !== latoB.length) {
+            return res.status(400).json({
+                error: 'Parametri non validi',
+                message: 'Confronta un giocatore con un giocatore o una coppia con una coppia'
+            });
+        }
+        
+        if (latoA.some(id => latoB.includes(id))) {
+            return res.status(400).json({
+                error: 'Parametri non validi',
+                message: 'Lo stesso giocatore non può stare da entrambe le parti'
+            });
+        }
+        
+        const richiesta = await leggiStagione(req, res);
+        if (!richiesta) return;
+        
+        res.json(await req.db.getHeadToHead(latoA, latoB, { stagione: richiesta.stagione }));
+    } catch (error) {
+        logger.error('Errore API /h2h:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: 'Uno o più giocatori non esistono'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore recupero scontri diretti',
+            message: error.message
+        });
+    }
+});
+
+// Filtri delle partite da query string; null se un parametro non è valido
+function leggiFiltriPartite(query) {
+    const filtri = { includiAnnullate: query.annullate === 'true' };
+
+    if (query.giocatore !== undefined) {
+        if (!validateId(query.giocatore)) return null;
+        filtri.giocatore = parseInt(query.giocatore);
+    }
+
+    if (query.coppia !== undefined) {
+        const coppia = String(query.coppia).split(',');
+        if (coppia.length !== 2 || !coppia.every(validateId) || parseInt(coppia[0]) === parseInt(coppia[1])) return null;
+        filtri.coppia = coppia.map(id => parseInt(id));
+    }
+
+    if (query.vincitore !== undefined) {
+        if (!validateId(query.vincitore)) return null;
+        filtri.vincitore = parseInt(query.vincitore);
+    }
+
+    // Una data senza ora vale dall'inizio del giorno (startDate) o fino alla fine (endDate)
+    const inizio = typeof query.startDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(query.startDate)
+        ? `${query.startDate}T00:00:00`
+        : leggiIstante(query.startDate);
+    const fine = leggiIstante(query.endDate);
+    if (inizio === null || fine === null || (inizio && !validateDate(inizio))) return null;
+
+    const { start, end } = validateDateRange(inizio, fine);
+    filtri.da = start;
+    filtri.a = end;
+
+    return filtri;
+}
+
+// GET /api/partite - Recupera le partite, dalla più recente (?annullate=true include quelle annullate,
+// ?stagione=ID|corrente filtra per stagione, ?giocatore=ID, ?coppia=ID,ID, ?vincitore=ID di un giocatore
+// della squadra vincente, ?startDate=&endDate= AAAA-MM-GG o ISO 8601, ?orderDir=ASC dalla più vecchia).
+// Con ?limit=&offset= restituisce una pagina { totale, limit, offset, partite }; il totale è sempre
+// nell'header X-Total-Count.
+router.get('/partite', async (req, res) => {
+    try {
+        const richiesta = await leggiStagione(req, res);
+        if (!richiesta) return;
+        
+        const filtri = leggiFiltriPartite(req.query);
+        if (!filtri) {
+            return res.status(400).json({
+                error: 'Filtri non validi',
+                message: 'giocatore e vincitore devono essere ID, coppia due ID diversi separati da virgola, ' +
+                    'startDate ed endDate date AAAA-MM-GG o ISO 8601'
+            });
+        }
+        filtri.stagione = richiesta.stagione;
+        
+        const { limit, offset = 0, orderDir } = validateQuery(req.query);
+        const paginata = req.query.limit !== undefined || req.query.offset !== undefined;
+        
+        const [partite, totale] = await Promise.all([
+            req.db.getPartite({
+                ...filtri,
+                limit: paginata ? limit || 20 : null,
+                offset,
+                ordine: orderDir
+            }),
+            req.db.contaPartite(filtri)
+        ]);
+        
+        res.set('X-Total-Count', String(totale));
+        res.json(paginata ? { totale, limit: limit || 20, offset, partite } : partite);
+    } catch (error) {
+        logger.error('Errore API /partite:', error);
+        res.status(500).json({
+            error: 'Errore recupero partite',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/partite - Crea nuova partita
+router.post('/partite', async (req, res) => {
+    try {
+        const { vincitore } = req.body;
+        
+        const erroreValidazione = validaPartita(req.body);
+        if (erroreValidazione) {
+            return res.status(400).json(erroreValidazione);
+        }
+        
+        const { squadra1, squadra2 } = leggiSquadre(req.body);
+        const punteggio = leggiPunteggio(req.body);
+        const partita = await req.db.createPartita(squadra1, squadra2, parseInt(vincitore), punteggio);
+        
+        logger.info(`Partita creata: Squadra1 ${squadra1} vs Squadra2 ${squadra2}, vincitore: ${vincitore}` +
+            (punteggio ? ` (${punteggio.gol1}-${punteggio.gol2})` : ''));
+        
+        // Se era la partita sul tavolo della lobby prepara la successiva;
+        // un errore qui non deve far sembrare fallita la registrazione
+        let lobby = null;
+        try {
+            const avanzamento = await req.db.avanzaLobby(partita);
+            lobby = avanzamento.avanzata ? avanzamento.lobby : null;
+        } catch (errorLobby) {
+            logger.warn('Lobby non aggiornata dopo la partita:', errorLobby);
+        }
+        
+        res.status(201).json({
+            ...partita,
+            ...(lobby && { lobby }),
+            message: 'Partita creata con successo'
+        });
+        
+    } catch (error) {
+        logger.error('Errore API POST /partite:', error);
+        
+        if (error.message === 'Uno o più giocatori sono archiviati') {
+            return res.status(409).json({
+                error: 'Giocatore archiviato',
+                message: 'Riattiva i giocatori archiviati prima di registrare la partita'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore creazione partita',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/partite/:id - Corregge giocatori, vincitore e data di una partita
+router.put('/partite/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { vincitore, data } = req.body;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID partita non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        const erroreValidazione = validaPartita(req.body);
+        if (erroreValidazione) {
+            return res.status(400).json(erroreValidazione);
+        }
+        
+        // La data è facoltativa: se assente resta quella originale
+        if (data !== undefined && (!validateDate(data) || new Date(data) > new Date())) {
+            return res.status(400).json({
+                error: 'Data non valida',
+                message: 'La data deve essere valida e non nel futuro'
+            });
+        }
+        
+        const { squadra1, squadra2 } = leggiSquadre(req.body);
+        const partita = await req.db.updatePartita(
+            parseInt(id),
+            squadra1,
+            squadra2,
+            parseInt(vincitore),
+            data !== undefined ? new Date(data) : null,
+            leggiPunteggio(req.body)
+        );
+        
+        logger.info(`Partita modificata: ${id}, ${partita.partite_rigiocate} partite rigiocate`);
+        
+        res.json({
+            ...partita,
+            message: 'Partita modificata con successo'
+        });
+
+    } catch (error) {
+        logger.error('Errore API PUT /partite/:id:', error);
+        
+        if (error.message === 'Partita non trovata') {
+            return res.status(404).json({
+                error: 'Partita non trovata',
+                message: `Nessuna partita con ID ${req.params.id}`
+            });
+        }
+        
+        // Il vincitore è cambiato ma il punteggio registrato in precedenza dice il contrario
+        if (error.message === 'Il punteggio non corrisponde al vincitore') {
+            return res.status(400).json({
+                error: 'Punteggio non valido',
+                message: 'Il punteggio registrato non corrisponde al nuovo vincitore: indicare anche i gol'
+            });
+        }
+        
+        if (error.message === 'Uno o più giocatori sono archiviati') {
+            return res.status(409).json({
+                error: 'Giocatore archiviato',
+                message: 'Riattiva i giocatori archiviati prima di inserirli nella partita'
+            });
+        }
+        
+        if (error.message === 'Partita di un torneo') {
+            return res.status(409).json({
+                error: 'Partita di un torneo',
+                message: 'Il risultato ha già fatto avanzare il tabellone del torneo: la partita non si può modificare'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Errore modifica partita',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/partite/:id - Elimina una partita e ricalcola ELO e statistiche
+router.delete('/partite/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID partita non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        const risultato = await req.db.deletePartita(parseInt(id));
+        
+        logger.info(`Partita eliminata: ${id}, ${risultato.partite_rigiocate} partite rigiocate`);
+        
+        res.json({
+            ...risultato,
+            message: 'Partita eliminata con successo'
+        });
+
+    } catch (error) {
+        logger.error('Errore API DELETE /partite/:id:', error);
+        
+        if (error.message === 'Partita non trovata') {
+            return res.status(404).json({
+                error: 'Partita non trovata',
+                message: `Nessuna partita con ID ${req.params.id}`
+            });
+        }
+        
+        if (error.message === 'Partita di un torneo') {
+            return res.status(409).json({
+                error: 'Partita di un torneo',
+                message: 'Il risultato ha già fatto avanzare il tabellone del torneo: la partita non si può eliminare'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore eliminazione partita',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/partite/:id/annulla - Annulla una partita senza cancellarla e ricalcola ELO
+router.post('/partite/:id/annulla', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!validateId(id)) {
+            return res.status(400).json({
+                error: 'ID partita non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        const risultato = await req.db.annullaPartita(parseInt(id));
+        
+        logger.info(`Partita annullata: ${id}, ${risultato.partite_rigiocate} partite rigiocate`);
+        
+        res.json({
+            ...risultato,
+            message: 'Partita annullata con successo'
+        });
+
+    } catch (error) {
+        logger.error('Errore API POST /partite/:id/annulla:', error);
+        
+        if (error.message === 'Partita non trovata') {
+            return res.status(404).json({
+                error: 'Partita non trovata',
+                message: `Nessuna partita con ID ${req.params.id}`
+            });
+        }
+        
+        if (error.message === 'Partita già annullata') {
+            return res.status(409).json({
+                error: 'Partita già annullata',
+                message: 'La partita è già stata annullata'
+            });
+        }
+        
+        if (error.message === 'Partita di un torneo') {
+            return res.status(409).json({
+                error: 'Partita di un torneo',
+                message: 'Il risultato ha già fatto avanzare il tabellone del torneo: la partita non si può annullare'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Errore annullamento partita',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/predict?squadra1=a,b&squadra2=c,d - Probabilità di vittoria e variazioni
+// di rating per vittoria e sconfitta, senza registrare nulla (squadre come [portiere, attaccante])
+router.get('/predict', async (req, res) => {
+    try {
+        if (!req.query.squadra1 || !req.query.squadra2) {
+            return res.status(400).json({
+                error: 'Dati mancanti',
+                message: 'Squadra1 e squadra2 sono obbligatorie (es. ?squadra1=1,2&squadra2=3,4)'
+            });
+        }
+        
+        const squadra1 = String(req.query.squadra1).split(',');
+        const squadra2 = String(req.query.squadra2).split(',');
+        
+        if (squadra1.length !== 2 || squadra2.length !== 2) {
+            return res.status(400).json({
+                error: 'Formato squadre non valido',
+                message: 'Ogni squadra deve avere esattamente 2 giocatori'
+            });
+        }
+        
+        const tuttiGiocatori = [...squadra1, ...squadra2];
+        const idNonValido = tuttiGiocatori.find(id => !validateId(id));
+        if (idNonValido !== undefined) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${idNonValido} non è valido`
+            });
+        }
+        
+        if (new Set(tuttiGiocatori.map(id => parseInt(id))).size !== 4) {
+            return res.status(400).json({
+                error: 'Giocatori duplicati',
+                message: 'Ogni giocatore può essere selezionato solo una volta'
+            });
+        }
+        
+        const previsione = await req.db.previsionePartita(
+            squadra1.map(id => parseInt(id)),
+            squadra2.map(id => parseInt(id))
+        );
+        
+        res.json(previsione);
+
+    } catch (error) {
+        logger.error('Errore API /predict:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: 'Uno o più giocatori non esistono'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore previsione partita',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/matchmaking - Squadre più equilibrate tra i giocatori presenti
+// Body: { giocatori: [id, ...], rispetta_ruoli?: true, evita_ultima_coppia?: false, partite?: n }
+// Con più di 4 giocatori propone una rotazione in cui giocano tutti
+router.post('/matchmaking', async (req, res) => {
+    try {
+        const { giocatori, rispetta_ruoli, evita_ultima_coppia, partite } = req.body;
+        
+        if (!Array.isArray(giocatori) || giocatori.length < 4 || giocatori.length > 40) {
+            return res.status(400).json({
+                error: 'Giocatori non validi',
+                message: 'Servono da 4 a 40 giocatori'
+            });
+        }
+        
+        const idNonValido = giocatori.find(id => !validateId(id));
+        if (idNonValido !== undefined) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${idNonValido} non è valido`
+            });
+        }
+        
+        const ids = giocatori.map(id => parseInt(id));
+        if (new Set(ids).size !== ids.length) {
+            return res.status(400).json({
+                error: 'Giocatori duplicati',
+                message: 'Ogni giocatore può essere indicato solo una volta'
+            });
+        }
+        
+        if (partite !== undefined && (!Number.isInteger(Number(partite)) || partite < 1 || partite > 20)) {
+            return res.status(400).json({
+                error: 'Numero partite non valido',
+                message: 'Il numero di partite deve essere tra 1 e 20'
+            });
+        }
+        
+        const proposta = await req.db.proponiSquadre(ids, {
+            partite: partite !== undefined ? Number(partite) : null,
+            rispettaRuoli: rispetta_ruoli !== false,
+            evitaRipetizioni: evita_ultima_coppia === true
+        });
+        
+        res.json(proposta);
+
+    } catch (error) {
+        logger.error('Errore API /matchmaking:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: 'Uno o più giocatori non esistono'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore proposta squadre',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/lobby - Coda dei presenti e prossima partita sul tavolo
+router.get('/lobby', async (req, res) => {
+    try {
+        res.json(await req.db.getLobby());
+    } catch (error) {
+        logger.error('Errore API /lobby:', error);
+        res.status(500).json({
+            error: 'Errore recupero lobby',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/lobby/entra - Mette un giocatore in coda { giocatore_id }
+router.post('/lobby/entra', async (req, res) => {
+    try {
+        const { giocatore_id } = req.body;
+        
+        if (!validateId(giocatore_id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${giocatore_id} non è valido`
+            });
+        }
+        
+        const { lobby } = await req.db.entraInLobby(parseInt(giocatore_id));
+        
+        res.status(201).json({
+            ...lobby,
+            message: 'Giocatore in coda'
+        });
+
+    } catch (error) {
+        logger.error('Errore API /lobby/entra:', error);
+        
+        if (error.message === 'Giocatore non trovato') {
+            return res.status(404).json({
+                error: 'Giocatore non trovato',
+                message: `Nessun giocatore con ID ${req.body.giocatore_id}`
+            });
+        }
+        
+        if (error.message === 'Giocatore già in lobby') {
+            return res.status(409).json({
+                error: 'Giocatore già in lobby',
+                message: 'Il giocatore è già in coda o al tavolo'
+            });
+        }
+        
+        if (error.message === 'Giocatore archiviato') {
+            return res.status(409).json({
+                error: 'Giocatore archiviato',
+                message: 'Riattiva il giocatore prima di metterlo in coda'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore ingresso in lobby',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/lobby/esci - Toglie un giocatore dalla coda o dal tavolo { giocatore_id }
+router.post('/lobby/esci', async (req, res) => {
+    try {
+        const { giocatore_id } = req.body;
+        
+        if (!validateId(giocatore_id)) {
+            return res.status(400).json({
+                error: 'ID giocatore non valido',
+                message: `ID ${giocatore_id} non è valido`
+            });
+        }
+        
+        const { lobby } = await req.db.esciDallaLobby(parseInt(giocatore_id));
+        
+        res.json({
+            ...lobby,
+            message: 'Giocatore uscito dalla lobby'
+        });
+
+    } catch (error) {
+        logger.error('Errore API /lobby/esci:', error);
+        
+        if (error.message === 'Giocatore non in lobby') {
+            return res.status(404).json({
+                error: 'Giocatore non in lobby',
+                message: `Il giocatore ${req.body.giocatore_id} non è né in coda né al tavolo`
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore uscita dalla lobby',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/lobby/regole - { regola: vincitori_restano|tutti_ruotano, max_vittorie: n (0 = nessun limite) }
+router.put('/lobby/regole', async (req, res) => {
+    try {
+        const { regola, max_vittorie } = req.body;
+        
+        if (regola !== undefined && !['vincitori_restano', 'tutti_ruotano'].includes(regola)) {
+            return res.status(400).json({
+                error: 'Regola non valida',
+                message: 'La regola deve essere "vincitori_restano" o "tutti_ruotano"'
+            });
+        }
+        
+        if (max_vittorie !== undefined && (!Number.isInteger(Number(max_vittorie)) || max_vittorie < 0 || max_vittorie > 100)) {
+            return res.status(400).json({
+                error: 'Massimo vittorie non valido',
+                message: 'Il massimo di vittorie consecutive deve essere tra 0 (nessun limite) e 100'
+            });
+        }
+        
+        const { lobby } = await req.db.impostaRegoleLobby({
+            regola,
+            maxVittorie: max_vittorie !== undefined ? Number(max_vittorie) : undefined
+        });
+        
+        res.json({
+            ...lobby,
+            message: 'Regole lobby aggiornate'
+        });
+
+    } catch (error) {
+        logger.error('Errore API /lobby/regole:', error);
+        res.status(500).json({
+            error: 'Errore aggiornamento regole lobby',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/lobby - Svuota coda e tavolo
+router.delete('/lobby', async (req, res) => {
+    try {
+        const { lobby } = await req.db.svuotaLobby();
+        
+        res.json({
+            ...lobby,
+            message: 'Lobby svuotata'
+        });
+
     } catch (error) {
-        logger.error('Errore API /giocatori:', error);
+        logger.error('Errore API DELETE /lobby:', error);
         res.status(500).json({
-            error: 'Errore recupero giocatori',
+            error: 'Errore svuotamento lobby',
             message: error.message
         });
     }
 });
 
-// POST /api/giocatori - Crea nuovo giocatore
-router.post('/giocatori', async (req, res) => {
+// Errori dei tornei comuni a più endpoint: stato HTTP e messaggio per il client
+const ERRORI_TORNEO = {
+    'Torneo non trovato': [404, 'Nessun torneo con questo ID'],
+    'Partita del torneo non trovata': [404, 'La partita indicata non appartiene al torneo'],
+    'Giocatore non trovato': [404, 'Uno o entrambi i giocatori non esistono'],
+    'Giocatore già iscritto': [409, 'Uno dei due giocatori è già iscritto al torneo con un\'altra squadra'],
+    'Giocatore archiviato': [409, 'Uno dei due giocatori è archiviato'],
+    'Uno o più giocatori sono archiviati': [409, 'Riattiva i giocatori archiviati prima di registrare il risultato'],
+    'Iscrizioni chiuse': [409, 'Il torneo è già stato avviato'],
+    'Torneo già avviato': [409, 'Il torneo è già stato avviato'],
+    'Torneo non in corso': [409, 'Il torneo non è ancora iniziato o è già concluso'],
+    'Partita del torneo non giocabile': [409, 'La partita è già stata giocata o aspetta ancora una delle due squadre'],
+    'Turno in corso': [409, 'Il turno attuale ha ancora partite da giocare'],
+    'Turni non previsti': [400, 'Solo il sistema svizzero genera i turni uno alla volta'],
+    'Servono almeno 2 squadre': [400, 'Servono almeno 2 squadre iscritte per avviare il torneo']
+};
+
+function rispondiErroreTorneo(res, error, erroreGenerico) {
+    const noto = ERRORI_TORNEO[error.message];
+
+    if (noto) {
+        return res.status(noto[0]).json({
+            error: error.message,
+            message: noto[1]
+        });
+    }
+
+    res.status(500).json({
+        error: erroreGenerico,
+        message: error.message
+    });
+}
+
+// Valida l'ID del torneo nei parametri; se non è valido risponde 400 e restituisce null
+function leggiIdTorneo(req, res) {
+    const { id } = req.params;
+
+    if (!validateId(id)) {
+        res.status(400).json({
+            error: 'ID torneo non valido',
+            message: `ID ${id} non è valido`
+        });
+        return null;
+    }
+
+    return parseInt(id);
+}
+
+// GET /api/tornei - Elenco tornei con numero di squadre iscritte
+router.get('/tornei', async (req, res) => {
     try {
-        const { nome, ruolo } = req.body;
+        res.json(await req.db.getTornei());
+    } catch (error) {
+        logger.error('Errore API /tornei:', error);
+        res.status(500).json({
+            error: 'Errore recupero tornei',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/tornei - Crea un torneo { nome, formato, neutrale, turni }
+// (neutrale: le partite non cambiano i rating; turni: solo svizzero, default in base alle squadre)
+router.post('/tornei', async (req, res) => {
+    try {
+        const { nome, formato, neutrale, turni } = req.body;
         
-        // Validazione input
-        if (!validateInput(req.body, ['nome', 'ruolo'])) {
+        if (!validateInput(req.body, ['nome', 'formato'])) {
             return res.status(400).json({
                 error: 'Dati mancanti',
-                message: 'Nome e ruolo sono obbligatori'
+                message: 'Nome e formato sono obbligatori'
             });
         }
         
@@ -49,136 +1443,262 @@ router.post('/giocatori', async (req, res) => {
             });
         }
         
-        if (!['portiere', 'attaccante'].includes(ruolo)) {
+        if (!FORMATI.includes(formato)) {
             return res.status(400).json({
-                error: 'Ruolo non valido',
-                message: 'Il ruolo deve essere "portiere" o "attaccante"'
+                error: 'Formato non valido',
+                message: `Il formato deve essere uno tra: ${FORMATI.join(', ')}`
             });
         }
         
-        const giocatore = await req.db.createGiocatore(nomeSanitized, ruolo);
+        const turniIndicati = turni !== undefined && turni !== null && turni !== '';
         
-        logger.info(`Giocatore creato: ${giocatore.nome} (${giocatore.ruolo})`);
+        if (turniIndicati && (formato !== 'svizzero' || !Number.isInteger(Number(turni)) || turni < 1 || turni > 20)) {
+            return res.status(400).json({
+                error: 'Turni non validi',
+                message: 'Il numero di turni si indica solo per il sistema svizzero e deve essere tra 1 e 20'
+            });
+        }
+        
+        const torneo = await req.db.createTorneo(
+            nomeSanitized,
+            formato,
+            neutrale === true || neutrale === 'true',
+            turniIndicati ? Number(turni) : null
+        );
+        
+        logger.info(`Torneo creato: ${torneo.nome} (${torneo.formato}${torneo.neutrale ? ', neutrale' : ''})`);
         
         res.status(201).json({
-            ...giocatore,
-            message: 'Giocatore creato con successo'
+            ...torneo,
+            message: 'Torneo creato con successo'
         });
+
+    } catch (error) {
+        logger.error('Errore API POST /tornei:', error);
+        res.status(500).json({
+            error: 'Errore creazione torneo',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/tornei/:id - Torneo con squadre, teste di serie, partite e classifica (tornei a punti)
+router.get('/tornei/:id', async (req, res) => {
+    try {
+        const id = leggiIdTorneo(req, res);
+        if (id === null) return;
         
+        res.json(await req.db.getTorneo(id));
     } catch (error) {
-        logger.error('Errore API POST /giocatori:', error);
+        logger.error('Errore API /tornei/:id:', error);
+        rispondiErroreTorneo(res, error, 'Errore recupero torneo');
+    }
+});
+
+// POST /api/tornei/:id/squadre - Iscrive una squadra fissa { portiere_id, attaccante_id, nome }
+router.post('/tornei/:id/squadre', async (req, res) => {
+    try {
+        const id = leggiIdTorneo(req, res);
+        if (id === null) return;
         
-        if (error.message === 'Giocatore già esistente') {
-            return res.status(409).json({
-                error: 'Giocatore già esistente',
-                message: 'Esiste già un giocatore con questo nome'
+        const { portiere_id, attaccante_id, nome } = req.body;
+        
+        for (const giocatoreId of [portiere_id, attaccante_id]) {
+            if (!validateId(giocatoreId)) {
+                return res.status(400).json({
+                    error: 'ID giocatore non valido',
+                    message: `ID ${giocatoreId} non è valido`
+                });
+            }
+        }
+        
+        if (parseInt(portiere_id) === parseInt(attaccante_id)) {
+            return res.status(400).json({
+                error: 'Giocatori duplicati',
+                message: 'Portiere e attaccante devono essere due giocatori diversi'
             });
         }
         
-        res.status(500).json({
-            error: 'Errore creazione giocatore',
-            message: error.message
+        const nomeSquadra = nome ? sanitizeString(nome) : '';
+        
+        const { squadra_id, torneo } = await req.db.iscriviSquadraTorneo(
+            id,
+            parseInt(portiere_id),
+            parseInt(attaccante_id),
+            nomeSquadra.length > 0 ? nomeSquadra : null
+        );
+        
+        res.status(201).json({
+            squadra_id,
+            ...torneo,
+            message: 'Squadra iscritta al torneo'
         });
+
+    } catch (error) {
+        logger.error('Errore API POST /tornei/:id/squadre:', error);
+        rispondiErroreTorneo(res, error, 'Errore iscrizione squadra');
     }
 });
 
-// GET /api/partite - Recupera tutte le partite
-router.get('/partite', async (req, res) => {
+// POST /api/tornei/:id/avvia - Chiude le iscrizioni e genera il tabellone
+router.post('/tornei/:id/avvia', async (req, res) => {
     try {
-        const partite = await req.db.getPartite();
-        res.json(partite);
-    } catch (error) {
-        logger.error('Errore API /partite:', error);
-        res.status(500).json({
-            error: 'Errore recupero partite',
-            message: error.message
+        const id = leggiIdTorneo(req, res);
+        if (id === null) return;
+        
+        const { torneo } = await req.db.avviaTorneo(id);
+        
+        logger.info(`Torneo avviato: ${torneo.nome}, ${torneo.squadre.length} squadre`);
+        
+        res.json({
+            ...torneo,
+            message: 'Torneo avviato'
         });
+
+    } catch (error) {
+        logger.error('Errore API POST /tornei/:id/avvia:', error);
+        rispondiErroreTorneo(res, error, 'Errore avvio torneo');
     }
 });
 
-// POST /api/partite - Crea nuova partita
-router.post('/partite', async (req, res) => {
+// GET /api/tornei/:id/classifica - Classifica dei tornei a punti (girone e svizzero) con gli spareggi
+router.get('/tornei/:id/classifica', async (req, res) => {
     try {
-        const { squadra1, squadra2, vincitore } = req.body;
+        const id = leggiIdTorneo(req, res);
+        if (id === null) return;
         
-        // Validazione input
-        if (!validateInput(req.body, ['squadra1', 'squadra2', 'vincitore'])) {
+        const torneo = await req.db.getTorneo(id);
+        
+        if (!torneo.classifica) {
             return res.status(400).json({
-                error: 'Dati mancanti',
-                message: 'Squadra1, squadra2 e vincitore sono obbligatori'
+                error: 'Classifica non disponibile',
+                message: 'I tornei a eliminazione non hanno classifica a punti: vedere il tabellone'
             });
         }
         
-        // Validazione struttura squadre
-        if (!Array.isArray(squadra1) || squadra1.length !== 2 || 
-            !Array.isArray(squadra2) || squadra2.length !== 2) {
+        res.json({
+            torneo_id: torneo.id,
+            formato: torneo.formato,
+            stato: torneo.stato,
+            turno_corrente: torneo.turno_corrente,
+            turni: torneo.turni,
+            spareggi: ['scontri_diretti', 'differenza_reti', ...(torneo.formato === 'svizzero' ? ['buchholz'] : []), 'testa_di_serie'],
+            classifica: torneo.classifica
+        });
+    } catch (error) {
+        logger.error('Errore API /tornei/:id/classifica:', error);
+        rispondiErroreTorneo(res, error, 'Errore recupero classifica torneo');
+    }
+});
+
+// POST /api/tornei/:id/turno - Genera il turno successivo del sistema svizzero
+router.post('/tornei/:id/turno', async (req, res) => {
+    try {
+        const id = leggiIdTorneo(req, res);
+        if (id === null) return;
+        
+        const { turno, torneo } = await req.db.generaTurnoTorneo(id);
+        
+        logger.info(`Torneo ${torneo.nome}: generato il turno ${turno}`);
+        
+        res.status(201).json({
+            ...torneo,
+            message: `Turno ${turno} generato`
+        });
+
+    } catch (error) {
+        logger.error('Errore API POST /tornei/:id/turno:', error);
+        rispondiErroreTorneo(res, error, 'Errore generazione turno');
+    }
+});
+
+// POST /api/tornei/:id/partite/:partitaId/risultato - Esito di una partita del tabellone o del girone
+// { vincitore, gol_squadra1, gol_squadra2 }: le squadre sono quelle del tabellone
+router.post('/tornei/:id/partite/:partitaId/risultato', async (req, res) => {
+    try {
+        const id = leggiIdTorneo(req, res);
+        if (id === null) return;
+        
+        const { partitaId } = req.params;
+        
+        if (!validateId(partitaId)) {
             return res.status(400).json({
-                error: 'Formato squadre non valido',
-                message: 'Ogni squadra deve avere esattamente 2 giocatori'
+                error: 'ID partita non valido',
+                message: `ID ${partitaId} non è valido`
             });
         }
         
-        // Validazione vincitore
-        if (![1, 2].includes(parseInt(vincitore))) {
-            return res.status(400).json({
-                error: 'Vincitore non valido',
-                message: 'Il vincitore deve essere 1 o 2'
-            });
+        const torneo = await req.db.getTorneo(id);
+        const partitaTorneo = torneo.partite.find(p => p.id === parseInt(partitaId));
+        
+        if (!partitaTorneo) {
+            throw new Error('Partita del torneo non trovata');
         }
         
-        // Validazione IDs giocatori
-        const tuttiGiocatori = [...squadra1, ...squadra2];
-        for (const id of tuttiGiocatori) {
-            if (!validateId(id)) {
-                return res.status(400).json({
-                    error: 'ID giocatore non valido',
-                    message: `ID ${id} non è valido`
-                });
-            }
+        if (!partitaTorneo.giocabile) {
+            throw new Error('Partita del torneo non giocabile');
         }
         
-        // Controllo giocatori duplicati
-        if (new Set(tuttiGiocatori).size !== 4) {
-            return res.status(400).json({
-                error: 'Giocatori duplicati',
-                message: 'Ogni giocatore può essere selezionato solo una volta'
-            });
+        // Stessa validazione delle partite normali, con le squadre prese dal tabellone
+        const erroreValidazione = validaPartita({
+            ...req.body,
+            squadra1: partitaTorneo.squadra1.giocatori,
+            squadra2: partitaTorneo.squadra2.giocatori
+        });
+        if (erroreValidazione) {
+            return res.status(400).json(erroreValidazione);
         }
         
-        const partita = await req.db.createPartita(squadra1, squadra2, parseInt(vincitore));
+        const { vincitore } = req.body;
+        const punteggio = leggiPunteggio(req.body);
+        const risultato = await req.db.registraRisultatoTorneo(id, parseInt(partitaId), parseInt(vincitore), punteggio);
         
-        logger.info(`Partita creata: Squadra1 ${squadra1} vs Squadra2 ${squadra2}, vincitore: ${vincitore}`);
+        logger.info(`Torneo ${risultato.torneo.nome}: ${partitaTorneo.squadra1.nome} vs ${partitaTorneo.squadra2.nome}, ` +
+            `vincitore: ${vincitore}${risultato.concluso ? ' (torneo concluso)' : ''}`);
         
-        res.status(201).json({
-            ...partita,
-            message: 'Partita creata con successo'
+        res.json({
+            ...risultato.torneo,
+            partita: risultato.partita,
+            message: risultato.concluso ? 'Torneo concluso' : 'Risultato registrato'
         });
-        
+
     } catch (error) {
-        logger.error('Errore API POST /partite:', error);
-        res.status(500).json({
-            error: 'Errore creazione partita',
-            message: error.message
-        });
+        logger.error('Errore API POST /tornei/:id/partite/:partitaId/risultato:', error);
+        rispondiErroreTorneo(res, error, 'Errore registrazione risultato');
     }
 });
 
-// GET /api/statistics - Recupera statistiche
+// GET /api/statistics - Recupera statistiche (?stagione=ID|corrente)
 router.get('/statistics', async (req, res) => {
     try {
-        const giocatori = await req.db.getGiocatori();
-        const partite = await req.db.getPartite();
+        const richiesta = await leggiStagione(req, res);
+        if (!richiesta) return;
+        
+        // Per una stagione chiusa i giocatori sono quelli della classifica archiviata
+        const { stagione } = richiesta;
+        const giocatori = await req.db.getGiocatori({ stagione });
+        const totalePartite = await req.db.contaPartite({ stagione });
+        const gol = await req.db.getStatisticheGol({ stagione });
+        
+        // Migliore per rating del ruolo, tra chi quel ruolo lo ha giocato
+        const migliorePerRuolo = ruolo => giocatori
+            .filter(g => g.rating_ruoli[ruolo])
+            .reduce((max, g) => !max || g.rating_ruoli[ruolo].elo > max.rating_ruoli[ruolo].elo ? g : max, null);
         
         const stats = {
             totale_giocatori: giocatori.length,
-            totale_partite: partite.length,
+            totale_partite: totalePartite,
             portieri: giocatori.filter(g => g.ruolo === 'portiere').length,
             attaccanti: giocatori.filter(g => g.ruolo === 'attaccante').length,
             elo_medio: giocatori.length > 0 ? 
                 Math.round(giocatori.reduce((sum, g) => sum + g.elo, 0) / giocatori.length) : 0,
             migliore_giocatore: giocatori.length > 0 ? 
                 giocatori.reduce((max, g) => g.elo > max.elo ? g : max) : null,
-            giocatori_con_partite: giocatori.filter(g => g.partite > 0).length
+            migliore_portiere: migliorePerRuolo('portiere'),
+            migliore_attaccante: migliorePerRuolo('attaccante'),
+            giocatori_con_partite: giocatori.filter(g => g.partite > 0).length,
+            gol,
+            stagione: stagione ? { id: stagione.id, nome: stagione.nome, in_corso: stagione.in_corso } : null
         };
         
         res.json(stats);
@@ -191,6 +1711,32 @@ router.get('/statistics', async (req, res) => {
     }
 });
 
+// GET /api/rating - Regole e parametri del sistema di rating in uso
+router.get('/rating', (req, res) => {
+    try {
+        res.json(req.db.rating.descrizione());
+    } catch (error) {
+        logger.error('Errore API /rating:', error);
+        res.status(500).json({
+            error: 'Errore recupero regole rating',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/traguardi - Traguardi disponibili e quanti giocatori li hanno sbloccati
+router.get('/traguardi', async (req, res) => {
+    try {
+        res.json(await req.db.getTraguardi());
+    } catch (error) {
+        logger.error('Errore API /traguardi:', error);
+        res.status(500).json({
+            error: 'Errore recupero traguardi',
+            message: error.message
+        });
+    }
+});
+
 // GET /api/export - Esporta tutti i dati
 router.get('/export', async (req, res) => {
     try {
@@ -215,45 +1761,77 @@ router.get('/export/csv/:type', async (req, res) => {
         const { type } = req.params;
         const timestamp = new Date().toISOString().slice(0, 10);
         
+        // ?stagione=ID|corrente limita l'export a una stagione (classifica archiviata se chiusa)
+        const richiesta = await leggiStagione(req, res);
+        if (!richiesta) return;
+        
+        const { stagione } = richiesta;
+        const suffissoStagione = stagione ? `stagione${stagione.id}_` : '';
+        
         let csv = '';
         let filename = '';
         
         switch (type) {
             case 'giocatori':
-                const giocatori = await req.db.getGiocatori();
-                csv = 'Nome,Ruolo,ELO,Partite,Vittorie,Sconfitte,WinRate\n';
+                const giocatori = await req.db.getGiocatori({ stagione, includiArchiviati: true });
+                csv = 'Nome,Ruolo,ELO,RD,Provvisorio,Partite,Vittorie,Sconfitte,WinRate,Archiviato\n';
                 csv += giocatori.map(g => {
                     const winRate = g.partite > 0 ? ((g.vittorie / g.partite) * 100).toFixed(1) : '0.0';
-                    return `"${g.nome}","${g.ruolo}",${g.elo},${g.partite},${g.vittorie},${g.sconfitte},"${winRate}%"`;
+                    const rd = g.rd !== undefined ? g.rd.toFixed(1) : '';
+                    return `"${g.nome}","${g.ruolo}",${g.elo},${rd},"${g.rating_provvisorio ? 'Sì' : 'No'}",${g.partite},${g.vittorie},${g.sconfitte},"${winRate}%","${g.archiviato ? 'Sì' : 'No'}"`;
                 }).join('\n');
-                filename = `giocatori_${timestamp}.csv`;
+                filename = `giocatori_${suffissoStagione}${timestamp}.csv`;
                 break;
                 
             case 'partite':
-                const partite = await req.db.getPartite();
-                csv = 'Data,Squadra1_Portiere,Squadra1_Attaccante,Squadra2_Portiere,Squadra2_Attaccante,Vincitore\n';
+                const partite = await req.db.getPartite({ stagione });
+                csv = 'Data,Squadra1_Portiere,Squadra1_Attaccante,Squadra2_Portiere,Squadra2_Attaccante,Vincitore,Gol_Squadra1,Gol_Squadra2\n';
                 csv += partite.map(p => {
                     const data = new Date(p.data).toLocaleDateString('it-IT');
                     const vincitore = p.vincitore === 1 ? 'Squadra1' : 'Squadra2';
-                    return `"${data}","${p.nomi_giocatori.squadra1_portiere}","${p.nomi_giocatori.squadra1_attaccante}","${p.nomi_giocatori.squadra2_portiere}","${p.nomi_giocatori.squadra2_attaccante}","${vincitore}"`;
+                    const gol1 = p.gol_squadra1 ?? '';
+                    const gol2 = p.gol_squadra2 ?? '';
+                    return `"${data}","${p.nomi_giocatori.squadra1_portiere}","${p.nomi_giocatori.squadra1_attaccante}","${p.nomi_giocatori.squadra2_portiere}","${p.nomi_giocatori.squadra2_attaccante}","${vincitore}",${gol1},${gol2}`;
                 }).join('\n');
-                filename = `partite_${timestamp}.csv`;
+                filename = `partite_${suffissoStagione}${timestamp}.csv`;
                 break;
                 
             case 'classifica':
-                const classificaGiocatori = await req.db.getGiocatori();
-                csv = 'Posizione,Nome,Ruolo,ELO,Partite,Vittorie,Sconfitte,WinRate\n';
+                // ?ruolo=portiere|attaccante esporta la classifica di quel ruolo
+                const ruoloClassifica = req.query.ruolo || null;
+                if (ruoloClassifica && !['portiere', 'attaccante'].includes(ruoloClassifica)) {
+                    return res.status(400).json({
+                        error: 'Ruolo non valido',
+                        message: 'Il ruolo deve essere "portiere" o "attaccante"'
+                    });
+                }
+                
+                const classificaGiocatori = (await req.db.getGiocatori({ ruolo: ruoloClassifica, stagione }))
+                    .map(g => ruoloClassifica ? { ...g, ...g.rating_ruoli[ruoloClassifica], ruolo: ruoloClassifica } : g);
+                csv = 'Posizione,Nome,Ruolo,ELO,RD,Provvisorio,Partite,Vittorie,Sconfitte,WinRate\n';
                 csv += classificaGiocatori.map((g, index) => {
                     const winRate = g.partite > 0 ? ((g.vittorie / g.partite) * 100).toFixed(1) : '0.0';
-                    return `${index + 1},"${g.nome}","${g.ruolo}",${g.elo},${g.partite},${g.vittorie},${g.sconfitte},"${winRate}%"`;
+                    const rd = g.rd !== undefined ? g.rd.toFixed(1) : '';
+                    return `${index + 1},"${g.nome}","${g.ruolo}",${g.elo},${rd},"${g.rating_provvisorio ? 'Sì' : 'No'}",${g.partite},${g.vittorie},${g.sconfitte},"${winRate}%"`;
                 }).join('\n');
-                filename = `classifica_${timestamp}.csv`;
+                filename = ruoloClassifica
+                    ? `classifica_${ruoloClassifica}_${suffissoStagione}${timestamp}.csv`
+                    : `classifica_${suffissoStagione}${timestamp}.csv`;
                 break;
                 
+            case 'coppie':
+                const coppie = await req.db.getStatisticheCoppie({ stagione });
+                csv = 'Giocatore1,Giocatore2,Partite,Vittorie,Sconfitte,WinRate,Delta_Medio\n';
+                csv += coppie.map(c =>
+                    `"${c.nomi[0]}","${c.nomi[1]}",${c.partite},${c.vittorie},${c.sconfitte},"${c.percentuale_vittorie.toFixed(1)}%",${c.delta_medio}`
+                ).join('\n');
+                filename = `coppie_${suffissoStagione}${timestamp}.csv`;
+                break;
+            
             default:
                 return res.status(400).json({
                     error: 'Tipo export non valido',
-                    message: 'Tipi supportati: giocatori, partite, classifica'
+                    message: 'Tipi supportati: giocatori, partite, classifica, coppie'
                 });
         }
         
@@ -270,6 +1848,133 @@ router.get('/export/csv/:type', async (req, res) => {
     }
 });
 
+// POST /api/admin/ricalcola - Ricostruisce ELO e statistiche dallo storico partite
+// (?dryRun=true mostra le differenze senza salvarle, ?sistema=elo|glicko2|trueskill
+// rigioca lo storico con un altro sistema per confrontarlo, solo in dry run)
+router.post('/admin/ricalcola', requireAdmin, async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        const sistema = req.query.sistema || null;
+        
+        if (sistema && !SISTEMI.includes(sistema)) {
+            return res.status(400).json({
+                error: 'Sistema non valido',
+                message: `Sistemi disponibili: ${SISTEMI.join(', ')}`
+            });
+        }
+        
+        if (sistema && sistema !== req.db.rating.nome && !dryRun) {
+            return res.status(400).json({
+                error: 'Operazione non consentita',
+                message: 'Un sistema diverso da quello configurato si può usare solo con dryRun=true'
+            });
+        }
+        
+        const risultato = await req.db.recalculateAll({ dryRun, sistema });
+        
+        logger.info(`Ricalcolo completo${dryRun ? ' (dry run)' : ''} con ${risultato.sistema}: ${risultato.partite_rigiocate} partite, ${risultato.differenze.length} giocatori con differenze`);
+        
+        res.json({
+            ...risultato,
+            message: dryRun ? 'Verifica completata, nessuna modifica salvata' : 'Ricalcolo completato con successo'
+        });
+
+    } catch (error) {
+        logger.error('Errore API /admin/ricalcola:', error);
+        res.status(500).json({
+            error: 'Errore ricalcolo',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/stagioni - Stagioni dalla più recente, con campione e numero di partite
+router.get('/stagioni', async (req, res) => {
+    try {
+        res.json(await req.db.getStagioni());
+    } catch (error) {
+        logger.error('Errore API /stagioni:', error);
+        res.status(500).json({
+            error: 'Errore recupero stagioni',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/stagioni/:id - Stagione con la classifica finale archiviata (:id può essere "corrente")
+router.get('/stagioni/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (id !== 'corrente' && !validateId(id)) {
+            return res.status(400).json({
+                error: 'ID stagione non valido',
+                message: `ID ${id} non è valido`
+            });
+        }
+        
+        res.json(await req.db.getStagione(id === 'corrente' ? id : parseInt(id)));
+    } catch (error) {
+        logger.error('Errore API /stagioni/:id:', error);
+        
+        if (error.message === 'Stagione non trovata') {
+            return res.status(404).json({
+                error: 'Stagione non trovata',
+                message: `Nessuna stagione con ID ${req.params.id}`
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Errore recupero stagione',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/admin/stagione/chiudi - Chiude la stagione corrente e ne apre una nuova
+// { reset: completo|parziale, regressione: 0-1 (solo parziale, default 0.5), nome }
+router.post('/admin/stagione/chiudi', requireAdmin, async (req, res) => {
+    try {
+        const { reset = 'parziale', regressione, nome } = req.body;
+        
+        if (!['completo', 'parziale'].includes(reset)) {
+            return res.status(400).json({
+                error: 'Reset non valido',
+                message: 'Il reset deve essere "completo" o "parziale"'
+            });
+        }
+        
+        const fattore = reset === 'completo' ? 1 : regressione !== undefined ? Number(regressione) : 0.5;
+        
+        if (!Number.isFinite(fattore) || fattore <= 0 || fattore > 1) {
+            return res.status(400).json({
+                error: 'Regressione non valida',
+                message: 'La regressione deve essere maggiore di 0 e al massimo 1 (1 = reset completo)'
+            });
+        }
+        
+        const nomeSanitized = nome ? sanitizeString(nome) : '';
+        const risultato = await req.db.chiudiStagione({
+            regressione: fattore,
+            nome: nomeSanitized.length > 0 ? nomeSanitized : null
+        });
+        
+        logger.info(`Stagione chiusa: ${risultato.stagione_chiusa.nome}, campione ${risultato.stagione_chiusa.campione ? risultato.stagione_chiusa.campione.nome : 'nessuno'}`);
+        
+        res.json({
+            ...risultato,
+            message: `Stagione chiusa, inizia "${risultato.stagione_corrente.nome}"`
+        });
+
+    } catch (error) {
+        logger.error('Errore API /admin/stagione/chiudi:', error);
+        res.status(500).json({
+            error: 'Errore chiusura stagione',
+            message: error.message
+        });
+    }
+});
+
 // POST /api/reset - Reset database (solo sviluppo)
 router.post('/reset', async (req, res) => {
     try {
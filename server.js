@@ -44,7 +44,8 @@ app.use(cors({
     origin: process.env.NODE_ENV === 'production' 
         ? ['https://*.railway.app', 'https://*.up.railway.app'] 
         : ['http://localhost:3000', 'http://127.0.0.1:3000'],
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Total-Count']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -188,6 +189,7 @@ process.on('SIGTERM', async () => {
     
     server.close(async () => {
         logger.info('HTTP server chiuso');
+        clearInterval(timerDecadimento);
         
         if (db) {
             await db.close();
@@ -203,6 +205,7 @@ process.on('SIGINT', async () => {
     
     server.close(async () => {
         logger.info('HTTP server chiuso');
+        clearInterval(timerDecadimento);
         
         if (db) {
             await db.close();
@@ -226,6 +229,22 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Avvio server
 let server;
+let timerDecadimento;
+
+// Decadimento del rating per inattività (RATING_DECAY=true), controllato a intervalli regolari
+function avviaDecadimento() {
+    const { decadimento, intervalloOre } = db.rating.config.inattivita;
+    if (!decadimento) return;
+
+    const applica = () => db.applicaDecadimento().catch(error => {
+        logger.error('❌ Errore decadimento per inattività:', error);
+    });
+
+    applica();
+    timerDecadimento = setInterval(applica, intervalloOre * 60 * 60 * 1000);
+    timerDecadimento.unref();
+    logger.info(`📉 Decadimento per inattività attivo (controllo ogni ${intervalloOre} ore)`);
+}
 
 async function startServer() {
     try {
@@ -244,6 +263,8 @@ async function startServer() {
             logger.info(`🌐 Platform: Railway`);
         });
         
+        avviaDecadimento();
+        
         // Keep-alive for Railway
         server.keepAliveTimeout = 120000; // 2 minutes
         server.headersTimeout = 120000; // 2 minutes
@@ -64,6 +64,17 @@ DB_NAME=${database}
 JWT_SECRET=${generateRandomString(64)}
 SESSION_SECRET=${generateRandomString(64)}
 
+# Rating (sistemi: elo, glicko2, trueskill - strategie K: fisso, provvisorio, soglia, esperienza)
+# Dopo aver cambiato sistema eseguire npm run recalculate
+# (npm run recalculate -- --dry-run --sistema=trueskill confronta un altro sistema senza salvare)
+RATING_SYSTEM=elo
+RATING_INITIAL=1500
+RATING_K=32
+RATING_DIVISOR=400
+RATING_K_STRATEGY=fisso
+# true: con il punteggio registrato le variazioni dipendono dallo scarto di gol
+RATING_MARGIN=false
+
 # Rate Limiting
 RATE_LIMIT_WINDOW_MS=900000
 RATE_LIMIT_MAX_REQUESTS=100
@@ -100,6 +111,7 @@ DEBUG=scalcetting:*
         console.log('• npm run dev - Avvia in modalità sviluppo');
         console.log('• npm test - Esegue i test');
         console.log('• npm run setup - Esegue di nuovo il setup');
+        console.log('• npm run recalculate - Ricalcola ELO e statistiche dallo storico partite');
         
     } catch (error) {
         console.error('❌ Errore durante il setup:', error.message);
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generaGirone, turnoSvizzero, classifica, registraRisultatoGirone } = require('../tornei/girone');
+const { chiaveCoppia } = require('../rating/matchmaking');
+
+// Partita conclusa di girone, per costruire classifiche a mano
+function conclusa(squadra1, squadra2, vincitore, gol = null) {
+    return {
+        chiave: `G-${squadra1}-${squadra2}`,
+        turno: 1,
+        squadra1_id: squadra1,
+        squadra2_id: squadra2,
+        vincitore,
+        completata: true,
+        bye: false,
+        gol_squadra1: gol ? gol[0] : null,
+        gol_squadra2: gol ? gol[1] : null
+    };
+}
+
+for (const numero of [4, 5, 6, 7]) {
+    test(`girone all'italiana con ${numero} squadre: ogni coppia una volta, una partita a giornata per squadra`, () => {
+        const squadre = Array.from({ length: numero }, (_, i) => i + 1);
+        const partite = generaGirone(squadre);
+        const coppie = partite.map(p => chiaveCoppia(p.squadra1_id, p.squadra2_id));
+        const giornate = numero % 2 === 0 ? numero - 1 : numero;
+        
+        assert.equal(partite.length, numero * (numero - 1) / 2);
+        assert.equal(new Set(coppie).size, partite.length);
+        assert.equal(Math.max(...partite.map(p => p.turno)), giornate);
+        
+        for (let turno = 1; turno <= giornate; turno++) {
+            const inCampo = partite.filter(p => p.turno === turno).flatMap(p => [p.squadra1_id, p.squadra2_id]);
+            assert.equal(new Set(inCampo).size, inCampo.length);
+        }
+    });
+}
+
+test('girone doppio: nel ritorno le squadre si scambiano il lato', () => {
+    const partite = generaGirone([1, 2, 3, 4], true);
+    const lati = partite.map(p => `${p.squadra1_id}-${p.squadra2_id}`);
+
+    assert.equal(partite.length, 12);
+    assert.equal(new Set(lati).size, 12);
+});
+
+test('svizzero: nessuna rivincita finché si può evitare', () => {
+    const squadre = [1, 2, 3, 4, 5, 6, 7, 8];
+    const partite = [];
+
+    for (let turno = 1; turno <= 3; turno++) {
+        const nuove = turnoSvizzero(squadre, partite, turno);
+        nuove.forEach(p => {
+            p.vincitore = p.squadra1_id < p.squadra2_id ? 1 : 2;
+            p.completata = true;
+        });
+        partite.push(...nuove);
+    }
+
+    const coppie = partite.map(p => chiaveCoppia(p.squadra1_id, p.squadra2_id));
+    assert.equal(partite.length, 12);
+    assert.equal(new Set(coppie).size, 12);
+});
+
+test('svizzero: con squadre dispari riposa l\'ultima senza bye e il bye vale una vittoria', () => {
+    const squadre = [1, 2, 3, 4, 5];
+    const primo = turnoSvizzero(squadre, [], 1);
+    const bye = primo.find(p => p.bye);
+
+    assert.equal(bye.squadra1_id, 5);
+    assert.equal(classifica(squadre, primo).find(r => r.squadra_id === 5).punti, 1);
+
+    primo.forEach(p => {
+        p.vincitore = 1;
+        p.completata = true;
+    });
+    const secondo = turnoSvizzero(squadre, primo, 2);
+    assert.notEqual(secondo.find(p => p.bye).squadra1_id, 5);
+});
+
+test('classifica: a pari punti decide lo scontro diretto, poi la testa di serie', () => {
+    // 1 e 2 a un punto, ma la 2 ha vinto lo scontro diretto
+    const righe = classifica([1, 2, 3], [conclusa(1, 2, 2), conclusa(1, 3, 1)]);
+    assert.deepEqual(righe.map(r => r.squadra_id), [2, 1, 3]);
+
+    // Tre squadre a un punto con una vittoria a testa tra loro: resta l'ordine delle teste di serie
+    const pari = classifica([1, 2, 3], [conclusa(1, 2, 1), conclusa(2, 3, 1), conclusa(3, 1, 1)]);
+    assert.deepEqual(pari.map(r => r.squadra_id), [1, 2, 3]);
+});
+
+test('classifica: poi la differenza reti, se ci sono punteggi', () => {
+    const partite = [conclusa(1, 3, 1, [10, 9]), conclusa(2, 4, 1, [10, 0])];
+    const righe = classifica([1, 2, 3, 4], partite);
+
+    assert.deepEqual(righe.map(r => r.squadra_id), [2, 1, 3, 4]);
+    assert.equal(righe[0].differenza_reti, 10);
+});
+
+test('girone: il primo in classifica è restituito solo a torneo concluso', () => {
+    const squadre = [1, 2, 3];
+    const partite = generaGirone(squadre);
+    const esiti = partite.map(p => registraRisultatoGirone(partite, p.chiave, 1, { squadre }));
+
+    assert.ok(esiti.slice(0, -1).every(e => e === null));
+    assert.equal(esiti[esiti.length - 1], classifica(squadre, partite)[0].squadra_id);
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SISTEMI, createRatingEngine, loadRatingConfig } = require('../rating');
+const { moltiplicatoreMargine } = require('../rating/margine');
+
+const GIORNO = 24 * 60 * 60 * 1000;
+
+// Quattro giocatori: 1 e 2 più forti di 3 e 4
+function statiDi(rating) {
+    const stati = {};
+    [[1, 1700], [2, 1650], [3, 1500], [4, 1450]].forEach(([id, elo]) => {
+        stati[id] = { ...rating.statoIniziale(), elo, partite: 20 };
+        // Con TrueSkill il rating è mu
+        if ('mu' in stati[id]) stati[id].mu = elo;
+    });
+    return stati;
+}
+
+test('margine: da ×0.5 con un gol di scarto a ×1.5 con il cappotto', () => {
+    const config = { margine: true };
+
+    assert.equal(moltiplicatoreMargine(config, { gol1: 10, gol2: 9 }), 0.5);
+    assert.equal(moltiplicatoreMargine(config, { gol1: 0, gol2: 10 }), 1.5);
+    assert.equal(moltiplicatoreMargine(config, null), 1);
+    assert.equal(moltiplicatoreMargine({ margine: false }, { gol1: 10, gol2: 0 }), 1);
+});
+
+for (const sistema of SISTEMI) {
+    const rating = createRatingEngine(loadRatingConfig({ RATING_SYSTEM: sistema, RATING_MARGIN: 'true' }));
+
+    test(`${sistema}: chi vince sale e chi perde scende`, () => {
+        const calcolo = rating.calcolaPartita(statiDi(rating), [3, 4], [1, 2], 1);
+        
+        for (const giocatore of calcolo.giocatori) {
+            const vincente = [3, 4].includes(giocatore.giocatore_id);
+            assert.equal(giocatore.vittoria, vincente ? 1 : 0);
+            assert.ok(vincente ? giocatore.delta > 0 : giocatore.delta < 0, `delta ${giocatore.delta}`);
+            assert.equal(giocatore.elo_dopo - giocatore.elo_prima, giocatore.delta);
+        }
+        assert.ok(calcolo.deltaElo1 > 0 && calcolo.deltaElo2 < 0);
+    });
+
+    test(`${sistema}: la sorpresa vale più del risultato atteso`, () => {
+        const sorpresa = rating.calcolaPartita(statiDi(rating), [3, 4], [1, 2], 1);
+        const attesa = rating.calcolaPartita(statiDi(rating), [3, 4], [1, 2], 2);
+        
+        assert.ok(sorpresa.deltaElo1 > -attesa.deltaElo1);
+    });
+
+    test(`${sistema}: probabilità coerenti tra le due squadre`, () => {
+        const stati = statiDi(rating);
+        const forti = [stati[1], stati[2]];
+        const deboli = [stati[3], stati[4]];
+        const probabilita = rating.probabilitaSquadra(forti, deboli);
+        
+        assert.ok(probabilita > 0.5 && probabilita < 1);
+        assert.ok(Math.abs(probabilita + rating.probabilitaSquadra(deboli, forti) - 1) < 1e-9);
+    });
+
+    test(`${sistema}: il cappotto sposta il rating più di una vittoria di misura`, () => {
+        const cappotto = rating.calcolaPartita(statiDi(rating), [1, 2], [3, 4], 1, { gol1: 10, gol2: 0 });
+        const misura = rating.calcolaPartita(statiDi(rating), [1, 2], [3, 4], 1, { gol1: 10, gol2: 9 });
+        
+        assert.ok(cappotto.deltaElo1 > misura.deltaElo1);
+    });
+}
+
+test('elo: quello che guadagna una squadra lo perde l\'altra', () => {
+    const rating = createRatingEngine(loadRatingConfig({ RATING_SYSTEM: 'elo', RATING_K_STRATEGY: 'fisso' }));
+    const calcolo = rating.calcolaPartita(statiDi(rating), [1, 2], [3, 4], 2);
+
+    assert.equal(calcolo.deltaElo1, -calcolo.deltaElo2);
+});
+
+test('glicko2: la RD cresce per ogni settimana senza partite, fino a quella iniziale', () => {
+    const rating = createRatingEngine(loadRatingConfig({ RATING_SYSTEM: 'glicko2' }));
+    const oggi = new Date('2026-06-01T12:00:00Z');
+    const stato = { elo: 1600, rd: 60, volatilita: 0.06 };
+    const fa = giorni => new Date(oggi - giorni * GIORNO);
+
+    assert.equal(rating.conInattivita({ ...stato, ultima_partita: fa(6) }, oggi).rd, 60);
+    assert.ok(rating.conInattivita({ ...stato, ultima_partita: fa(7) }, oggi).rd > 60);
+    assert.ok(rating.conInattivita({ ...stato, ultima_partita: fa(70) }, oggi).rd >
+        rating.conInattivita({ ...stato, ultima_partita: fa(14) }, oggi).rd);
+    assert.equal(rating.conInattivita({ ...stato, ultima_partita: fa(100000) }, oggi).rd, 350);
+    assert.equal(rating.conInattivita(stato, oggi).rd, 60);
+});
+
+test('glicko2: chi torna dopo una pausa si muove di più', () => {
+    const rating = createRatingEngine(loadRatingConfig({ RATING_SYSTEM: 'glicko2' }));
+    const oggi = new Date('2026-06-01T12:00:00Z');
+    const stati = {};
+    [1, 2, 3, 4].forEach(id => {
+        stati[id] = { elo: 1500, rd: 60, volatilita: 0.06, ultima_partita: new Date(oggi - GIORNO) };
+    });
+    const ieri = rating.calcolaPartita(stati, [1, 2], [3, 4], 1, null, oggi);
+
+    stati[1] = { ...stati[1], ultima_partita: new Date(oggi - 180 * GIORNO) };
+    const dopoPausa = rating.calcolaPartita(stati, [1, 2], [3, 4], 1, null, oggi);
+    const delta = (calcolo, id) => calcolo.giocatori.find(g => g.giocatore_id === id).delta;
+
+    assert.ok(delta(dopoPausa, 1) > delta(ieri, 1));
+    assert.equal(delta(dopoPausa, 2), delta(ieri, 2));
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generaPartite, registraRisultato } = require('../tornei');
+
+// Gioca il torneo finché c'è un campione; scegli decide il vincitore (1 o 2) di ogni partita
+function giocaTutto(formato, squadre, scegli = () => 1) {
+    const partite = generaPartite(formato, squadre);
+    let campione = null;
+
+    while (campione === null) {
+        const prossima = partite.find(p => !p.completata && p.squadra1_id !== null && p.squadra2_id !== null);
+        assert.ok(prossima, 'il torneo si è bloccato senza campione');
+        campione = registraRisultato({ formato }, partite, prossima.chiave, scegli(prossima), null, squadre);
+    }
+
+    return { partite, campione };
+}
+
+test('eliminazione singola: teste di serie 1 e 2 solo in finale', () => {
+    const squadre = [1, 2, 3, 4, 5, 6, 7, 8];
+    const partite = generaPartite('eliminazione_singola', squadre);
+    const primoTurno = partite.filter(p => p.turno === 1).map(p => [p.squadra1_id, p.squadra2_id]);
+
+    assert.equal(partite.length, 7);
+    assert.deepEqual(primoTurno, [[1, 8], [4, 5], [2, 7], [3, 6]]);
+});
+
+test('eliminazione singola: i vincitori avanzano fino al campione', () => {
+    const { partite, campione } = giocaTutto('eliminazione_singola', [1, 2, 3, 4, 5, 6, 7, 8]);
+    const finale = partite.find(p => p.chiave === 'V3-0');
+
+    assert.deepEqual([finale.squadra1_id, finale.squadra2_id], [1, 2]);
+    assert.equal(campione, 1);
+    assert.ok(partite.every(p => p.completata));
+});
+
+test('eliminazione singola: con 5 squadre le prime tre passano il turno con un bye', () => {
+    const partite = generaPartite('eliminazione_singola', [1, 2, 3, 4, 5]);
+    const bye = partite.filter(p => p.bye);
+
+    assert.equal(bye.length, 3);
+    assert.deepEqual(bye.map(p => p.squadra1_id).sort(), [1, 2, 3]);
+    assert.equal(giocaTutto('eliminazione_singola', [1, 2, 3, 4, 5]).campione, 1);
+});
+
+test('eliminazione doppia: chi perde scende nel tabellone perdenti', () => {
+    const partite = generaPartite('eliminazione_doppia', [1, 2, 3, 4]);
+    registraRisultato({ formato: 'eliminazione_doppia' }, partite, 'V1-0', 2, null, [1, 2, 3, 4]);
+
+    const perdenti = partite.find(p => p.chiave === 'P1-0');
+    assert.equal(perdenti.squadra1_id, 1);
+    assert.equal(partite.find(p => p.chiave === 'V2-0').squadra1_id, 4);
+});
+
+test('eliminazione doppia: se vince chi arriva dai perdenti si gioca la bella', () => {
+    // La squadra 1 perde al primo turno e poi vince tutto, bella compresa
+    const scegli = p => p.chiave === 'V1-0' ? 2 : p.squadra1_id === 1 ? 1 : p.squadra2_id === 1 ? 2 : 1;
+    const { partite, campione } = giocaTutto('eliminazione_doppia', [1, 2, 3, 4], scegli);
+
+    const bella = partite.find(p => p.chiave === 'F2');
+    assert.ok(bella);
+    assert.ok([bella.squadra1_id, bella.squadra2_id].includes(1));
+    assert.equal(campione, 1);
+});
+
+test('eliminazione doppia: con due squadre la finale dà una seconda possibilità', () => {
+    const { partite, campione } = giocaTutto('eliminazione_doppia', [1, 2], p => p.chiave === 'F1' ? 2 : 1);
+
+    assert.ok(partite.find(p => p.chiave === 'F2'));
+    assert.equal(campione, 1);
+});
\ No newline at end of file
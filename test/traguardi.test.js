@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { valutaPartita, descriviTraguardo } = require('../traguardi');
+
+// Partita 1+2 contro 3+4 con gli ELO indicati; vince la squadra 1 salvo diversa indicazione
+function partita({ vincitore = 1, gol = [null, null], elo = { 1: 1500, 2: 1500, 3: 1500, 4: 1500 } } = {}) {
+    const esiti = Object.entries(elo).map(([id, eloPrima]) => {
+        const vittoria = (Number(id) <= 2) === (vincitore === 1) ? 1 : 0;
+        const delta = vittoria ? 10 : -10;
+        return { giocatore_id: Number(id), elo_prima: eloPrima, elo_dopo: eloPrima + delta, delta, vittoria };
+    });
+
+    return [{ squadra1: [1, 2], squadra2: [3, 4], gol_squadra1: gol[0], gol_squadra2: gol[1] }, esiti];
+}
+
+// Traguardi sbloccati da una serie di partite, per giocatore
+function gioca(partite) {
+    const statistiche = {};
+    const sbloccati = {};
+    const nuovi = partite.flatMap(([dati, esiti]) => valutaPartita(dati, esiti, statistiche, sbloccati));
+    return { nuovi, statistiche, sbloccati };
+}
+
+test('prima vittoria: solo per chi vince, una volta sola', () => {
+    const { nuovi } = gioca([partita(), partita()]);
+    const prime = nuovi.filter(t => t.codice === 'prima_vittoria');
+
+    assert.deepEqual(prime.map(t => t.giocatore_id), [1, 2]);
+});
+
+test('serie di 10: alla decima vittoria consecutiva, non prima', () => {
+    const nove = gioca(Array.from({ length: 9 }, () => partita()));
+    assert.ok(!nove.sbloccati[1].has('serie_10'));
+
+    const dieci = gioca(Array.from({ length: 10 }, () => partita()));
+    assert.ok(dieci.sbloccati[1].has('serie_10'));
+    assert.equal(dieci.statistiche[1].serie_vittorie, 10);
+    assert.equal(dieci.statistiche[3].serie_sconfitte, 10);
+});
+
+test('serie di 10: una sconfitta azzera la serie', () => {
+    const partite = [
+        ...Array.from({ length: 9 }, () => partita()),
+        partita({ vincitore: 2 }),
+        partita()
+    ];
+    const { sbloccati, statistiche } = gioca(partite);
+
+    assert.ok(!sbloccati[1].has('serie_10'));
+    assert.equal(statistiche[1].serie_vittorie, 1);
+});
+
+test('cappotto: serve vincere 10-0', () => {
+    assert.ok(gioca([partita({ gol: [10, 0] })]).sbloccati[1].has('cappotto'));
+    assert.ok(!gioca([partita({ gol: [10, 1] })]).sbloccati[1].has('cappotto'));
+    assert.ok(!gioca([partita()]).sbloccati[1].has('cappotto'));
+});
+
+test('ammazzagiganti: battere un avversario con almeno 200 punti in più', () => {
+    const { sbloccati } = gioca([partita({ elo: { 1: 1400, 2: 1650, 3: 1600, 4: 1500 } })]);
+
+    assert.ok(sbloccati[1].has('ammazzagiganti'));
+    assert.ok(!sbloccati[2].has('ammazzagiganti'));
+    assert.ok(!sbloccati[3].has('ammazzagiganti'));
+});
+
+test('descrizione dei traguardi senza la condizione', () => {
+    const traguardo = descriviTraguardo('cappotto');
+
+    assert.equal(traguardo.codice, 'cappotto');
+    assert.equal(traguardo.condizione, undefined);
+    assert.equal(descriviTraguardo('inesistente'), null);
+});
\ No newline at end of file
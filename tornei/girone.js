@@ -0,0 +1,246 @@
+const { chiaveCoppia } = require('../rating/matchmaking');
+const { nuovaPartita } = require('./tabellone');
+
+// Formati a punti: girone all'italiana (solo andata o andata e ritorno) e sistema svizzero
+const FORMATI_GIRONE = ['girone_singolo', 'girone_doppio', 'svizzero'];
+
+/**
+ * Partita di girone tra due squadre
+ * @param {number} turno - Giornata (da 1)
+ * @param {number} posizione - Posizione nella giornata (da 0)
+ * @param {number} squadra1 - ID squadra
+ * @param {number} squadra2 - ID squadra
+ * @returns {Object} partita
+ */
+function partitaGirone(turno, posizione, squadra1, squadra2) {
+    const partita = nuovaPartita(`G${turno}-${posizione}`, 'girone', turno, posizione);
+    partita.squadra1_id = squadra1;
+    partita.squadra2_id = squadra2;
+    return partita;
+}
+
+/**
+ * Calendario del girone all'italiana con il metodo del cerchio: la prima squadra
+ * resta ferma e le altre ruotano. Con un numero dispari di squadre a ogni giornata
+ * una riposa. Nel ritorno le squadre si scambiano il lato del tavolo.
+ * @param {Array} squadre - ID squadre in ordine di testa di serie
+ * @param {boolean} andataRitorno - true per il girone doppio
+ * @returns {Array} partite
+ */
+function generaGirone(squadre, andataRitorno = false) {
+    const elenco = squadre.length % 2 === 0 ? [...squadre] : [...squadre, null];
+    const giornate = elenco.length - 1;
+    const partite = [];
+
+    for (let turno = 1; turno <= giornate; turno++) {
+        let posizione = 0;
+        
+        for (let i = 0; i < elenco.length / 2; i++) {
+            const squadra1 = elenco[i];
+            const squadra2 = elenco[elenco.length - 1 - i];
+            if (squadra1 === null || squadra2 === null) continue;
+            
+            // La squadra ferma alterna il lato, altrimenti sarebbe sempre squadra1
+            const invertita = i === 0 && turno % 2 === 0;
+            partite.push(partitaGirone(turno, posizione++, invertita ? squadra2 : squadra1, invertita ? squadra1 : squadra2));
+        }
+        
+        elenco.splice(1, 0, elenco.pop());
+    }
+
+    if (andataRitorno) {
+        const ritorno = partite.map(p => partitaGirone(p.turno + giornate, p.posizione, p.squadra2_id, p.squadra1_id));
+        partite.push(...ritorno);
+    }
+
+    return partite;
+}
+
+/**
+ * Numero predefinito di turni svizzeri: quanti ne servono per avere un solo imbattuto
+ * @param {number} numeroSquadre - Squadre iscritte
+ * @returns {number} turni
+ */
+function turniSvizzeri(numeroSquadre) {
+    return Math.max(1, Math.ceil(Math.log2(numeroSquadre)));
+}
+
+/**
+ * Accoppia le squadre nell'ordine dato evitando le sfide già giocate (con backtracking)
+ * @param {Array} libere - ID squadre ancora da accoppiare, in ordine di classifica
+ * @param {Set} giocate - Chiavi delle sfide già giocate
+ * @returns {Array|null} coppie, o null se non esiste un accoppiamento senza rivincite
+ */
+function accoppia(libere, giocate) {
+    if (libere.length === 0) return [];
+
+    const [prima, ...altre] = libere;
+    for (const avversaria of altre) {
+        if (giocate.has(chiaveCoppia(prima, avversaria))) continue;
+        
+        const resto = accoppia(altre.filter(id => id !== avversaria), giocate);
+        if (resto) return [[prima, avversaria], ...resto];
+    }
+
+    return null;
+}
+
+/**
+ * Genera un turno svizzero: le squadre in ordine di classifica affrontano la più
+ * vicina con cui non hanno ancora giocato. Con un numero dispari di squadre riposa
+ * l'ultima in classifica che non ha ancora avuto un bye (il bye vale una vittoria).
+ * @param {Array} squadre - ID squadre in ordine di testa di serie
+ * @param {Array} partite - Partite dei turni precedenti
+ * @param {number} turno - Turno da generare
+ * @returns {Array} nuove partite
+ */
+function turnoSvizzero(squadre, partite, turno) {
+    const ordine = classifica(squadre, partite, { buchholz: true }).map(r => r.squadra_id);
+    const nuove = [];
+    let inGioco = ordine;
+
+    if (ordine.length % 2 === 1) {
+        const conBye = new Set(partite.filter(p => p.bye).map(p => p.squadra1_id));
+        const riposa = [...ordine].reverse().find(id => !conBye.has(id)) ?? ordine[ordine.length - 1];
+        
+        const bye = nuovaPartita(`S${turno}-bye`, 'girone', turno, Math.floor(ordine.length / 2));
+        bye.squadra1_id = riposa;
+        bye.vincitore = 1;
+        bye.completata = true;
+        bye.bye = true;
+        nuove.push(bye);
+        
+        inGioco = ordine.filter(id => id !== riposa);
+    }
+
+    const giocate = new Set(partite
+        .filter(p => !p.bye && p.squadra1_id !== null && p.squadra2_id !== null)
+        .map(p => chiaveCoppia(p.squadra1_id, p.squadra2_id)));
+
+    // Se le rivincite sono inevitabili (molti turni, poche squadre) si accettano
+    const coppie = accoppia(inGioco, giocate) || accoppia(inGioco, new Set());
+
+    coppie.forEach(([squadra1, squadra2], posizione) => {
+        const partita = nuovaPartita(`S${turno}-${posizione}`, 'girone', turno, posizione);
+        partita.squadra1_id = squadra1;
+        partita.squadra2_id = squadra2;
+        nuove.push(partita);
+    });
+
+    return nuove;
+}
+
+/**
+ * Classifica a punti (un punto a vittoria, bye compreso). Spareggi nell'ordine:
+ * scontri diretti tra le squadre a pari punti, differenza reti (solo se ci sono
+ * punteggi registrati), Buchholz (somma dei punti degli avversari, nello svizzero),
+ * infine testa di serie.
+ * @param {Array} squadre - ID squadre in ordine di testa di serie
+ * @param {Array} partite - Partite del torneo
+ * @param {Object} opzioni - buchholz: calcola e usa il Buchholz
+ * @returns {Array} righe di classifica in ordine
+ */
+function classifica(squadre, partite, { buchholz = false } = {}) {
+    const righe = new Map(squadre.map((id, indice) => [id, {
+        squadra_id: id,
+        testa_di_serie: indice + 1,
+        giocate: 0,
+        vinte: 0,
+        perse: 0,
+        bye: 0,
+        punti: 0,
+        gol_fatti: 0,
+        gol_subiti: 0,
+        avversari: []
+    }]));
+
+    const concluse = partite.filter(p => p.completata && p.vincitore !== null);
+    const conPunteggio = concluse.some(p => !p.bye && p.gol_squadra1 != null && p.gol_squadra2 != null);
+
+    for (const partita of concluse) {
+        if (partita.bye) {
+            const riga = righe.get(partita.squadra1_id);
+            riga.bye++;
+            riga.punti++;
+            continue;
+        }
+        
+        const riga1 = righe.get(partita.squadra1_id);
+        const riga2 = righe.get(partita.squadra2_id);
+        const [vincente, perdente] = partita.vincitore === 1 ? [riga1, riga2] : [riga2, riga1];
+        
+        riga1.giocate++;
+        riga2.giocate++;
+        vincente.vinte++;
+        vincente.punti++;
+        perdente.perse++;
+        riga1.avversari.push(riga2.squadra_id);
+        riga2.avversari.push(riga1.squadra_id);
+        
+        if (partita.gol_squadra1 != null && partita.gol_squadra2 != null) {
+            riga1.gol_fatti += partita.gol_squadra1;
+            riga1.gol_subiti += partita.gol_squadra2;
+            riga2.gol_fatti += partita.gol_squadra2;
+            riga2.gol_subiti += partita.gol_squadra1;
+        }
+    }
+
+    const elenco = [...righe.values()];
+
+    elenco.forEach(riga => {
+        riga.differenza_reti = conPunteggio ? riga.gol_fatti - riga.gol_subiti : null;
+        riga.buchholz = buchholz ? riga.avversari.reduce((sum, id) => sum + righe.get(id).punti, 0) : null;
+        
+        // Vittorie nelle sfide con le squadre a pari punti
+        const pariPunti = new Set(elenco.filter(r => r.punti === riga.punti).map(r => r.squadra_id));
+        riga.scontri_diretti = concluse.filter(p =>
+            !p.bye &&
+            pariPunti.has(p.squadra1_id) &&
+            pariPunti.has(p.squadra2_id) &&
+            (p.vincitore === 1 ? p.squadra1_id : p.squadra2_id) === riga.squadra_id
+        ).length;
+    });
+
+    elenco.sort((a, b) =>
+        b.punti - a.punti ||
+        b.scontri_diretti - a.scontri_diretti ||
+        (b.differenza_reti ?? 0) - (a.differenza_reti ?? 0) ||
+        (b.buchholz ?? 0) - (a.buchholz ?? 0) ||
+        a.testa_di_serie - b.testa_di_serie
+    );
+
+    return elenco.map(({ avversari, ...riga }, indice) => ({
+        posizione: indice + 1,
+        ...riga,
+        gol_fatti: conPunteggio ? riga.gol_fatti : null,
+        gol_subiti: conPunteggio ? riga.gol_subiti : null
+    }));
+}
+
+/**
+ * Registra l'esito di una partita di girone
+ * @param {Array} partite - Tutte le partite del torneo (modificate sul posto)
+ * @param {string} chiave - Partita giocata
+ * @param {number} vincitore - 1 o 2
+ * @param {Object} opzioni - squadre (in ordine di testa di serie), turni (svizzero), buchholz
+ * @returns {number|null} ID della prima in classifica se il torneo è concluso
+ */
+function registraRisultatoGirone(partite, chiave, vincitore, { squadre, turni = null, buchholz = false }) {
+    const partita = partite.find(p => p.chiave === chiave);
+    partita.vincitore = vincitore;
+    partita.completata = true;
+
+    const ultimoTurno = Math.max(...partite.map(p => p.turno));
+    const concluso = partite.every(p => p.completata) && (turni === null || ultimoTurno >= turni);
+
+    return concluso ? classifica(squadre, partite, { buchholz })[0].squadra_id : null;
+}
+
+module.exports = {
+    FORMATI_GIRONE,
+    generaGirone,
+    turniSvizzeri,
+    turnoSvizzero,
+    classifica,
+    registraRisultatoGirone
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+const {
+    FORMATI_ELIMINAZIONE,
+    generaEliminazioneSingola,
+    generaEliminazioneDoppia,
+    propaga,
+    registraRisultato: registraRisultatoTabellone
+} = require('./tabellone');
+const {
+    FORMATI_GIRONE,
+    generaGirone,
+    turniSvizzeri,
+    turnoSvizzero,
+    classifica,
+    registraRisultatoGirone
+} = require('./girone');
+
+const FORMATI = [...FORMATI_ELIMINAZIONE, ...FORMATI_GIRONE];
+
+/**
+ * Genera le partite iniziali di un torneo (nello svizzero solo il primo turno)
+ * @param {string} formato - Uno di FORMATI
+ * @param {Array} squadre - ID squadre in ordine di testa di serie
+ * @returns {Array} partite (bye già risolti)
+ */
+function generaPartite(formato, squadre) {
+    let partite;
+    switch (formato) {
+        case 'eliminazione_singola':
+            partite = generaEliminazioneSingola(squadre);
+            break;
+        case 'eliminazione_doppia':
+            partite = generaEliminazioneDoppia(squadre);
+            break;
+        case 'girone_singolo':
+            return generaGirone(squadre, false);
+        case 'girone_doppio':
+            return generaGirone(squadre, true);
+        case 'svizzero':
+            return turnoSvizzero(squadre, [], 1);
+        default:
+            throw new Error(`Formato torneo non supportato: ${formato}`);
+    }
+
+    propaga(partite);
+    return partite;
+}
+
+/**
+ * Registra l'esito di una partita del torneo
+ * @param {Object} torneo - formato e turni (svizzero)
+ * @param {Array} partite - Tutte le partite del torneo (modificate sul posto)
+ * @param {string} chiave - Partita giocata
+ * @param {number} vincitore - 1 o 2
+ * @param {Object|null} punteggio - { gol1, gol2 }
+ * @param {Array} squadre - ID squadre in ordine di testa di serie
+ * @returns {number|null} ID della squadra campione se il torneo è concluso
+ */
+function registraRisultato(torneo, partite, chiave, vincitore, punteggio, squadre) {
+    const partita = partite.find(p => p.chiave === chiave);
+    partita.gol_squadra1 = punteggio ? punteggio.gol1 : null;
+    partita.gol_squadra2 = punteggio ? punteggio.gol2 : null;
+
+    if (FORMATI_ELIMINAZIONE.includes(torneo.formato)) {
+        return registraRisultatoTabellone(partite, chiave, vincitore);
+    }
+
+    return registraRisultatoGirone(partite, chiave, vincitore, {
+        squadre,
+        turni: torneo.formato === 'svizzero' ? torneo.turni : null,
+        buchholz: torneo.formato === 'svizzero'
+    });
+}
+
+/**
+ * Classifica di un torneo a punti, null per quelli a eliminazione
+ * @param {string} formato - Formato del torneo
+ * @param {Array} squadre - ID squadre in ordine di testa di serie
+ * @param {Array} partite - Partite del torneo
+ * @returns {Array|null} classifica
+ */
+function classificaTorneo(formato, squadre, partite) {
+    if (!FORMATI_GIRONE.includes(formato)) return null;
+    return classifica(squadre, partite, { buchholz: formato === 'svizzero' });
+}
+
+module.exports = {
+    FORMATI,
+    generaPartite,
+    registraRisultato,
+    classificaTorneo,
+    turniSvizzeri,
+    turnoSvizzero
+};
\ No newline at end of file
@@ -0,0 +1,251 @@
+// Formati a eliminazione diretta
+const FORMATI_ELIMINAZIONE = ['eliminazione_singola', 'eliminazione_doppia'];
+
+/**
+ * Nuova partita di tabellone, ancora senza squadre
+ * @param {string} chiave - Identificativo nel torneo (es. V1-0, P2-1, F1)
+ * @param {string} tabellone - vincenti, perdenti o finale
+ * @param {number} turno - Turno nel tabellone (da 1)
+ * @param {number} posizione - Posizione nel turno (da 0)
+ * @returns {Object} partita
+ */
+function nuovaPartita(chiave, tabellone, turno, posizione) {
+    return {
+        chiave,
+        tabellone,
+        turno,
+        posizione,
+        squadra1_id: null,
+        squadra2_id: null,
+        vincitore: null,
+        completata: false,
+        bye: false,
+        prossima_vincente: null,
+        slot_vincente: null,
+        prossima_perdente: null,
+        slot_perdente: null
+    };
+}
+
+/**
+ * Ordine delle teste di serie nel primo turno, in modo che 1 e 2 si incontrino
+ * solo in finale (per 8: 1-8, 4-5, 2-7, 3-6)
+ * @param {number} dimensione - Potenza di 2
+ * @returns {Array} teste di serie in ordine di tabellone
+ */
+function ordineTeste(dimensione) {
+    let ordine = [1];
+    while (ordine.length < dimensione) {
+        const somma = ordine.length * 2 + 1;
+        ordine = ordine.flatMap(seed => [seed, somma - seed]);
+    }
+    return ordine;
+}
+
+/**
+ * Tabellone vincenti: i posti senza squadra diventano bye
+ * @param {Array} squadre - ID squadre in ordine di testa di serie
+ * @returns {Object} partite e numero di turni
+ */
+function tabelloneVincenti(squadre) {
+    const turni = Math.max(1, Math.ceil(Math.log2(squadre.length)));
+    const dimensione = Math.pow(2, turni);
+    const teste = ordineTeste(dimensione);
+    const partite = [];
+
+    for (let turno = 1; turno <= turni; turno++) {
+        const numero = dimensione / Math.pow(2, turno);
+        
+        for (let posizione = 0; posizione < numero; posizione++) {
+            const partita = nuovaPartita(`V${turno}-${posizione}`, 'vincenti', turno, posizione);
+            
+            if (turno === 1) {
+                partita.squadra1_id = squadre[teste[posizione * 2] - 1] ?? null;
+                partita.squadra2_id = squadre[teste[posizione * 2 + 1] - 1] ?? null;
+            }
+            
+            if (turno < turni) {
+                partita.prossima_vincente = `V${turno + 1}-${Math.floor(posizione / 2)}`;
+                partita.slot_vincente = posizione % 2 + 1;
+            }
+            
+            partite.push(partita);
+        }
+    }
+
+    return { partite, turni, dimensione };
+}
+
+/**
+ * Genera il tabellone a eliminazione singola
+ * @param {Array} squadre - ID squadre in ordine di testa di serie
+ * @returns {Array} partite
+ */
+function generaEliminazioneSingola(squadre) {
+    return tabelloneVincenti(squadre).partite;
+}
+
+/**
+ * Genera il tabellone a eliminazione doppia: chi perde nel tabellone vincenti
+ * scende in quello perdenti, i due vincitori si giocano la finale. Se vince chi
+ * arriva dai perdenti si gioca la bella (F2), aggiunta in registraRisultato.
+ * @param {Array} squadre - ID squadre in ordine di testa di serie
+ * @returns {Array} partite
+ */
+function generaEliminazioneDoppia(squadre) {
+    const { partite, turni, dimensione } = tabelloneVincenti(squadre);
+    const finale = nuovaPartita('F1', 'finale', 1, 0);
+
+    const finaleVincenti = partite.find(p => p.chiave === `V${turni}-0`);
+    finaleVincenti.prossima_vincente = 'F1';
+    finaleVincenti.slot_vincente = 1;
+
+    if (turni === 1) {
+        // Solo due squadre: chi perde ha comunque una seconda possibilità in finale
+        finaleVincenti.prossima_perdente = 'F1';
+        finaleVincenti.slot_perdente = 2;
+        return [...partite, finale];
+    }
+
+    // Turni dispari: si affrontano i vincenti del turno precedente (o i perdenti di V1);
+    // turni pari: i vincenti del turno precedente incontrano chi scende dai vincenti
+    const turniPerdenti = 2 * (turni - 1);
+    const perdenti = [];
+
+    for (let turno = 1; turno <= turniPerdenti; turno++) {
+        const numero = dimensione / Math.pow(2, Math.ceil(turno / 2) + 1);
+        
+        for (let posizione = 0; posizione < numero; posizione++) {
+            const partita = nuovaPartita(`P${turno}-${posizione}`, 'perdenti', turno, posizione);
+            
+            if (turno === turniPerdenti) {
+                partita.prossima_vincente = 'F1';
+                partita.slot_vincente = 2;
+            } else if (turno % 2 === 1) {
+                partita.prossima_vincente = `P${turno + 1}-${posizione}`;
+                partita.slot_vincente = 1;
+            } else {
+                partita.prossima_vincente = `P${turno + 1}-${Math.floor(posizione / 2)}`;
+                partita.slot_vincente = posizione % 2 + 1;
+            }
+            
+            perdenti.push(partita);
+        }
+    }
+
+    for (const partita of partite) {
+        if (partita.turno === 1) {
+            partita.prossima_perdente = `P1-${Math.floor(partita.posizione / 2)}`;
+            partita.slot_perdente = partita.posizione % 2 + 1;
+        } else {
+            // Incrocio invertito per ridurre le rivincite immediate
+            const numero = dimensione / Math.pow(2, partita.turno);
+            partita.prossima_perdente = `P${2 * (partita.turno - 1)}-${numero - 1 - partita.posizione}`;
+            partita.slot_perdente = 2;
+        }
+    }
+
+    return [...partite, ...perdenti, finale];
+}
+
+/**
+ * Porta vincente e perdente di una partita completata nelle partite successive
+ * @param {Array} partite - Tutte le partite del torneo
+ * @param {Object} partita - Partita completata
+ */
+function avanza(partite, partita) {
+    const vincente = partita.vincitore === 1 ? partita.squadra1_id : partita.vincitore === 2 ? partita.squadra2_id : null;
+    const perdente = partita.vincitore === 1 ? partita.squadra2_id : partita.vincitore === 2 ? partita.squadra1_id : null;
+
+    const assegna = (chiave, slot, squadraId) => {
+        if (!chiave || squadraId === null) return;
+        const prossima = partite.find(p => p.chiave === chiave);
+        prossima[`squadra${slot}_id`] = squadraId;
+    };
+
+    assegna(partita.prossima_vincente, partita.slot_vincente, vincente);
+    assegna(partita.prossima_perdente, partita.slot_perdente, perdente);
+}
+
+/**
+ * Risolve i bye: una partita in cui uno dei posti non potrà più essere occupato
+ * (le partite che lo alimentano sono concluse) passa il turno all'unica squadra presente
+ * @param {Array} partite - Tutte le partite del torneo (modificate sul posto)
+ */
+function propaga(partite) {
+    let cambiato = true;
+
+    while (cambiato) {
+        cambiato = false;
+        
+        for (const partita of partite) {
+            if (partita.completata) continue;
+            
+            const definitivo = slot => partite
+                .filter(f =>
+                    (f.prossima_vincente === partita.chiave && f.slot_vincente === slot) ||
+                    (f.prossima_perdente === partita.chiave && f.slot_perdente === slot))
+                .every(f => f.completata);
+            
+            if (!definitivo(1) || !definitivo(2)) continue;
+            if (partita.squadra1_id !== null && partita.squadra2_id !== null) continue;
+            
+            partita.completata = true;
+            partita.bye = true;
+            partita.vincitore = partita.squadra1_id !== null ? 1 : partita.squadra2_id !== null ? 2 : null;
+            avanza(partite, partita);
+            cambiato = true;
+        }
+    }
+}
+
+/**
+ * Registra l'esito di una partita di tabellone e fa avanzare le squadre
+ * @param {Array} partite - Tutte le partite del torneo (modificate sul posto)
+ * @param {string} chiave - Partita giocata
+ * @param {number} vincitore - 1 o 2
+ * @returns {number|null} ID della squadra campione se il torneo è concluso
+ */
+function registraRisultato(partite, chiave, vincitore) {
+    const partita = partite.find(p => p.chiave === chiave);
+    partita.vincitore = vincitore;
+    partita.completata = true;
+    avanza(partite, partita);
+
+    // Eliminazione doppia: la squadra dei perdenti ha vinto la finale, serve la bella
+    if (partita.chiave === 'F1' && vincitore === 2) {
+        const bella = nuovaPartita('F2', 'finale', 2, 0);
+        bella.squadra1_id = partita.squadra1_id;
+        bella.squadra2_id = partita.squadra2_id;
+        partite.push(bella);
+    }
+
+    propaga(partite);
+    return campione(partite);
+}
+
+/**
+ * Squadra campione: vincitrice dell'ultima partita del tabellone
+ * @param {Array} partite - Tutte le partite del torneo
+ * @returns {number|null} ID squadra o null se il torneo non è concluso
+ */
+function campione(partite) {
+    const decisiva = partite.find(p =>
+        p.completata &&
+        p.vincitore !== null &&
+        !p.prossima_vincente &&
+        !(p.chiave === 'F1' && p.vincitore === 2));
+
+    if (!decisiva) return null;
+    return decisiva.vincitore === 1 ? decisiva.squadra1_id : decisiva.squadra2_id;
+}
+
+module.exports = {
+    FORMATI_ELIMINAZIONE,
+    nuovaPartita,
+    generaEliminazioneSingola,
+    generaEliminazioneDoppia,
+    propaga,
+    registraRisultato,
+    campione
+};
\ No newline at end of file
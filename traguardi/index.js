@@ -0,0 +1,101 @@
+const REGOLE = require('./regole');
+
+/**
+ * Statistiche di carriera di un giocatore senza partite
+ * @returns {Object} statistiche
+ */
+function nuoveStatistiche() {
+    return { partite: 0, vittorie: 0, sconfitte: 0, serie_vittorie: 0, serie_sconfitte: 0 };
+}
+
+/**
+ * Aggiorna le statistiche di carriera con l'esito di una partita
+ * @param {Object} statistiche - Statistiche prima della partita (modificate sul posto)
+ * @param {boolean} vittoria - Esito per il giocatore
+ * @returns {Object} statistiche aggiornate
+ */
+function aggiornaStatistiche(statistiche, vittoria) {
+    statistiche.partite += 1;
+    statistiche.vittorie += vittoria ? 1 : 0;
+    statistiche.sconfitte += vittoria ? 0 : 1;
+    statistiche.serie_vittorie = vittoria ? statistiche.serie_vittorie + 1 : 0;
+    statistiche.serie_sconfitte = vittoria ? 0 : statistiche.serie_sconfitte + 1;
+    return statistiche;
+}
+
+/**
+ * Valuta le regole per i quattro giocatori di una partita e aggiorna le loro
+ * statistiche di carriera
+ * @param {Object} partita - squadra1, squadra2 ([portiere, attaccante]), gol_squadra1, gol_squadra2
+ * @param {Array} esiti - Risultato per giocatore del motore di rating (elo_prima, elo_dopo, delta, vittoria)
+ * @param {Object} statistiche - Mappa id giocatore -> statistiche (modificate sul posto)
+ * @param {Object} sbloccati - Mappa id giocatore -> Set dei codici già sbloccati (modificati sul posto)
+ * @param {Array} regole - Regole da valutare
+ * @returns {Array} nuovi traguardi { giocatore_id, codice }
+ */
+function valutaPartita(partita, esiti, statistiche, sbloccati, regole = REGOLE) {
+    const perGiocatore = {};
+    esiti.forEach(e => {
+        perGiocatore[e.giocatore_id] = e;
+    });
+
+    const nuovi = [];
+
+    [partita.squadra1, partita.squadra2].forEach((squadra, indice) => {
+        const avversari = indice === 0 ? partita.squadra2 : partita.squadra1;
+        const golFatti = indice === 0 ? partita.gol_squadra1 : partita.gol_squadra2;
+        const golSubiti = indice === 0 ? partita.gol_squadra2 : partita.gol_squadra1;
+        
+        squadra.forEach((giocatoreId, posizione) => {
+            const esito = perGiocatore[giocatoreId];
+            const vittoria = Boolean(esito.vittoria);
+            
+            statistiche[giocatoreId] = aggiornaStatistiche(statistiche[giocatoreId] || nuoveStatistiche(), vittoria);
+            sbloccati[giocatoreId] = sbloccati[giocatoreId] || new Set();
+            
+            const compagnoId = squadra[1 - posizione];
+            const contesto = {
+                vittoria,
+                ruolo: posizione === 0 ? 'portiere' : 'attaccante',
+                elo_prima: esito.elo_prima,
+                elo_dopo: esito.elo_dopo,
+                delta: esito.delta,
+                gol_fatti: golFatti ?? null,
+                gol_subiti: golSubiti ?? null,
+                compagno: { giocatore_id: compagnoId, elo_prima: perGiocatore[compagnoId].elo_prima },
+                avversari: avversari.map(id => ({ giocatore_id: id, elo_prima: perGiocatore[id].elo_prima })),
+                statistiche: { ...statistiche[giocatoreId] }
+            };
+            
+            for (const regola of regole) {
+                if (sbloccati[giocatoreId].has(regola.codice) || !regola.condizione(contesto)) continue;
+                
+                sbloccati[giocatoreId].add(regola.codice);
+                nuovi.push({ giocatore_id: giocatoreId, codice: regola.codice });
+            }
+        });
+    });
+
+    return nuovi;
+}
+
+/**
+ * Dati da mostrare di un traguardo (senza la condizione)
+ * @param {string} codice - Codice del traguardo
+ * @returns {Object|null} codice, nome, descrizione, icona; null per codici non più definiti
+ */
+function descriviTraguardo(codice) {
+    const regola = REGOLE.find(r => r.codice === codice);
+    if (!regola) return null;
+
+    const { condizione, ...dati } = regola;
+    return dati;
+}
+
+module.exports = {
+    REGOLE,
+    nuoveStatistiche,
+    aggiornaStatistiche,
+    valutaPartita,
+    descriviTraguardo
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Regole dei traguardi. Per aggiungerne uno basta una voce in questo elenco:
+ * - codice: identificativo stabile, salvato nel database (non va cambiato)
+ * - nome, descrizione, icona: come viene mostrato
+ * - condizione: funzione del contesto del giocatore dopo la partita, true se sblocca
+ *
+ * Il contesto contiene:
+ * - vittoria, ruolo (portiere o attaccante), elo_prima, elo_dopo, delta
+ * - gol_fatti, gol_subiti (null se la partita non ha punteggio)
+ * - compagno e avversari: { giocatore_id, elo_prima }
+ * - statistiche dopo la partita, su tutta la carriera: partite, vittorie, sconfitte,
+ *   serie_vittorie e serie_sconfitte (serie in corso)
+ *
+ * Ogni traguardo si sblocca una sola volta per giocatore.
+ */
+const REGOLE = [
+    {
+        codice: 'prima_vittoria',
+        nome: 'Prima vittoria',
+        descrizione: 'Vinci la tua prima partita',
+        icona: '🥇',
+        condizione: c => c.vittoria && c.statistiche.vittorie === 1
+    },
+    {
+        codice: 'serie_10',
+        nome: 'Inarrestabile',
+        descrizione: 'Vinci 10 partite di fila',
+        icona: '🔥',
+        condizione: c => c.statistiche.serie_vittorie >= 10
+    },
+    {
+        codice: 'ammazzagiganti',
+        nome: 'Ammazzagiganti',
+        descrizione: 'Batti un avversario con almeno 200 punti di rating più di te',
+        icona: '🗡️',
+        condizione: c => c.vittoria && c.avversari.some(a => a.elo_prima - c.elo_prima >= 200)
+    },
+    {
+        codice: 'partite_100',
+        nome: 'Veterano',
+        descrizione: 'Gioca 100 partite',
+        icona: '🎖️',
+        condizione: c => c.statistiche.partite >= 100
+    },
+    {
+        codice: 'cappotto',
+        nome: 'Cappotto',
+        descrizione: 'Vinci 10-0',
+        icona: '🧥',
+        condizione: c => c.vittoria && c.gol_fatti >= 10 && c.gol_subiti === 0
+    }
+];
+
+module.exports = REGOLE;
\ No newline at end of file